@@ -0,0 +1,486 @@
+/**
+ * InteractiveMapCore
+ * The pure parts of InteractiveMapLibrary: data parsing, validation, classification and color.
+ * Nothing here touches the DOM, the network or Chart.js, so it runs under Node as well as in the browser.
+ *
+ * In the browser, load it before the library:
+ *   <script src="interactiveMapCore.js"></script>
+ *   <script src="interactiveMapLib.js"></script>
+ * Under Node: const InteractiveMapCore = require('./interactiveMapCore.js');
+ */
+const InteractiveMapCore = (() => {
+    /**
+     * Built-in color ramps for choropleth mode (ColorBrewer-derived).
+     * Sequential ramps run light to dark; diverging ramps run low - neutral - high.
+     */
+    const COLOR_RAMPS = {
+        blues: { type: 'sequential', colors: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'] },
+        greens: { type: 'sequential', colors: ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'] },
+        oranges: { type: 'sequential', colors: ['#feedde', '#fdbe85', '#fd8d3c', '#e6550d', '#a63603'] },
+        reds: { type: 'sequential', colors: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15'] },
+        purples: { type: 'sequential', colors: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#756bb1', '#54278f'] },
+        ylgnbu: { type: 'sequential', colors: ['#ffffcc', '#a1dab4', '#41b6c4', '#2c7fb8', '#253494'] },
+        rdylgn: { type: 'diverging', colors: ['#d7191c', '#fdae61', '#ffffbf', '#a6d96a', '#1a9641'] },
+        rdbu: { type: 'diverging', colors: ['#ca0020', '#f4a582', '#f7f7f7', '#92c5de', '#0571b0'] },
+        brbg: { type: 'diverging', colors: ['#a6611a', '#dfc27d', '#f5f5f5', '#80cdc1', '#018571'] }
+    };
+
+    function parseNumber(raw) {
+        if (raw === null || raw === undefined) return null;
+        if (typeof raw === 'number') return isNaN(raw) ? null : raw;
+        const text = String(raw).replace(/,/g, '').trim();
+        if (text === '') return null;
+        const value = Number(text);
+        return isNaN(value) ? null : value;
+    }
+
+    // Numeric periods (years) sort numerically, anything else keeps its order in the sheet
+    function sortPeriods(periods) {
+        if (periods.every(period => parseNumber(period) !== null)) {
+            return periods.slice().sort((a, b) => parseNumber(a) - parseNumber(b));
+        }
+        return periods;
+    }
+
+    // Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and newlines inside quotes
+    function parseCSV(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const header = (records.shift() || []).map(name => name.trim());
+        return records
+            .filter(values => values.some(value => value.trim() !== ''))
+            .map(values => {
+                const row = {};
+                header.forEach((name, index) => {
+                    // Leave blank cells out, like SheetJS does
+                    if (name && values[index] !== undefined && values[index].trim() !== '') row[name] = values[index];
+                });
+                return row;
+            });
+    }
+
+    // With `options.withCoordinates`, Point features also get 'lon' and 'lat' columns (for point layers)
+    function rowsFromGeoJSON(geojson, options = {}) {
+        const features = geojson && geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+        return (features || [])
+            .filter(feature => feature && feature.type === 'Feature')
+            .map(feature => {
+                const row = { ...(feature.properties || {}) };
+                if (row.id === undefined && feature.id !== undefined) row.id = feature.id;
+                if (options.withCoordinates && feature.geometry && feature.geometry.type === 'Point') {
+                    const [lon, lat] = feature.geometry.coordinates;
+                    if (row.lon === undefined) row.lon = lon;
+                    if (row.lat === undefined) row.lat = lat;
+                }
+                return row;
+            });
+    }
+
+    // Decodes the polygons of one TopoJSON object (the first unless `objectName` is given) into a GeoJSON FeatureCollection
+    function topologyToGeoJSON(topology, objectName) {
+        const name = objectName || Object.keys(topology.objects || {})[0];
+        const object = topology.objects && topology.objects[name];
+        if (!object) {
+            throw new Error(`TopoJSON object "${objectName}" not found.`);
+        }
+
+        // Quantized topologies store each arc as deltas from its previous position
+        const transform = topology.transform;
+        const arcs = (topology.arcs || []).map(arc => {
+            let x = 0;
+            let y = 0;
+            return arc.map(position => {
+                if (!transform) return [position[0], position[1]];
+                x += position[0];
+                y += position[1];
+                return [x * transform.scale[0] + transform.translate[0], y * transform.scale[1] + transform.translate[1]];
+            });
+        });
+        const decodeRing = indexes => indexes.reduce((points, index) => {
+            // A negative index (~index) means the arc is walked backwards
+            const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+            // Consecutive arcs share their joining position
+            return points.concat(points.length > 0 ? arc.slice(1) : arc);
+        }, []);
+
+        const geometries = object.type === 'GeometryCollection' ? object.geometries : [object];
+        return {
+            type: 'FeatureCollection',
+            features: geometries
+                .filter(geometry => geometry.type === 'Polygon' || geometry.type === 'MultiPolygon')
+                .map(geometry => ({
+                    type: 'Feature',
+                    id: geometry.id,
+                    properties: geometry.properties || {},
+                    geometry: {
+                        type: geometry.type,
+                        coordinates: geometry.type === 'Polygon'
+                            ? geometry.arcs.map(decodeRing)
+                            : geometry.arcs.map(polygon => polygon.map(decodeRing))
+                    }
+                }))
+        };
+    }
+
+    function isValidColor(color) {
+        if (typeof CSS !== 'undefined' && typeof CSS.supports === 'function') {
+            return CSS.supports('color', color);
+        }
+        return /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgb|hsl)a?\([^)]*\)|[a-z]+)$/i.test(color);
+    }
+
+    /**
+     * Turns sheet rows into region data keyed by id. Problems are reported, not thrown: rows without an id
+     * are skipped, a duplicate id keeps the later row, and bad colors or non-numeric metric cells still load.
+     * @param {Array<object>} rows Sheet rows.
+     * @param {Array<object>} metrics Resolved metric schema, `[{ key }]`.
+     * @param {object} [options] `{ period, locale }`.
+     * @returns {{mapData: object, issues: Array<object>}} Issues are `{ type, row, id, period, column, value, message }`
+     *   with `row` the row object; duplicate ids also get `duplicateOf`, the earlier row.
+     */
+    function buildRegionData(rows, metrics, options = {}) {
+        const period = options.period !== undefined ? options.period : null;
+        const mapData = {};
+        const issues = [];
+        const addIssue = (type, row, details) => issues.push({ type, row, id: null, period, column: null, value: null, ...details });
+
+        rows.forEach(row => {
+            // Ensure 'id' from sheet is treated as a string for reliable matching with SVG element IDs
+            const id = row.id ? String(row.id).trim() : null;
+            const sheetColor = row.color ? String(row.color).trim() : null;
+
+            if (!id) {
+                addIssue('missingId', row, { column: 'id', message: 'Missing id, row skipped' });
+                return;
+            }
+            if (mapData[id]) {
+                addIssue('duplicateId', row, { id, column: 'id', value: id, duplicateOf: mapData[id].attributes, message: 'Duplicate id, the later row is used' });
+            }
+            if (sheetColor && !isValidColor(sheetColor)) {
+                addIssue('invalidColor', row, { id, column: 'color', value: sheetColor, message: 'Not a valid CSS color' });
+            }
+
+            // Blank or non-numeric metric cells become null so the rest of the row still loads
+            const values = {};
+            metrics.forEach(metric => {
+                const raw = row[metric.key];
+                const value = parseNumber(raw);
+                if (value === null && raw !== undefined && String(raw).trim() !== '') {
+                    addIssue('nonNumeric', row, { id, column: metric.key, value: raw, message: 'Not a number, treated as no data' });
+                }
+                values[metric.key] = value;
+            });
+
+            mapData[id] = {
+                color: sheetColor || 'lightgray',
+                sheetColor,
+                values,
+                displayName: id,
+                description: null, // Sheet text in the given locale, null when the sheet has none
+                attributes: row // The raw row, for search fields and filters on non-metric columns
+            };
+            localizeRegion(mapData[id], id, options.locale);
+        });
+        return { mapData, issues };
+    }
+
+    // Picks the region's name and description for the locale, e.g. 'displayName_si' before 'displayName'
+    function localizeRegion(regionData, id, locale) {
+        const cell = (column) => {
+            const row = regionData.attributes;
+            const localized = row[`${column}_${locale}`];
+            if (localized !== undefined && localized !== null && String(localized).trim() !== '') return String(localized).trim();
+            return row[column] !== undefined && row[column] !== null && String(row[column]).trim() !== '' ? String(row[column]).trim() : null;
+        };
+        regionData.displayName = cell('displayName') || id;
+        regionData.description = cell('description');
+    }
+
+    /**
+     * Matches the data's region ids against the SVG's.
+     * @returns {{unmatchedIds: Array<{id: string, suggestions: string[]}>, regionsWithoutData: string[]}}
+     */
+    function matchIds(dataIds, svgIds) {
+        const svgIdSet = new Set(svgIds);
+        const dataIdSet = new Set(dataIds);
+        return {
+            // Without a loaded SVG there is nothing to match against yet
+            unmatchedIds: svgIds.length === 0 ? [] : dataIds
+                .filter(id => !svgIdSet.has(id))
+                .map(id => ({ id, suggestions: suggestIds(id, svgIds) })),
+            regionsWithoutData: svgIds.filter(id => !dataIdSet.has(id))
+        };
+    }
+
+    // Closest SVG ids by edit distance, for typos like "epawala_wathhtha" vs "epawala_wattha"
+    function suggestIds(id, candidates, limit = 3) {
+        const normalized = id.toLowerCase();
+        const maxDistance = Math.max(2, Math.floor(normalized.length * 0.3));
+        return candidates
+            .map(candidate => ({ candidate, distance: editDistance(normalized, candidate.toLowerCase()) }))
+            .filter(item => item.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+            .slice(0, limit)
+            .map(item => item.candidate);
+    }
+
+    function editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Returns class breaks as [min, b1, ..., max] (classes + 1 entries, fewer if there are
+     * not enough distinct values).
+     */
+    function classify(values, method, classes) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        if (sorted.length === 0) return [];
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const distinct = sorted.filter((value, index) => index === 0 || value !== sorted[index - 1]).length;
+        const k = Math.max(1, Math.min(classes, distinct));
+        if (min === max) return [min, max];
+
+        let inner = [];
+        if (method === 'equal') {
+            for (let i = 1; i < k; i++) inner.push(min + ((max - min) * i) / k);
+        } else if (method === 'jenks') {
+            inner = jenksBreaks(sorted, k);
+        } else {
+            if (method !== 'quantile') {
+                console.warn(`InteractiveMapLibrary: Unknown classification method "${method}", using quantile.`);
+            }
+            for (let i = 1; i < k; i++) {
+                inner.push(sorted[Math.min(sorted.length - 1, Math.floor((sorted.length * i) / k))]);
+            }
+        }
+
+        // Drop duplicate breaks so every class has a distinct range
+        const breaks = [min];
+        inner.concat([max]).forEach(value => {
+            if (value > breaks[breaks.length - 1]) breaks.push(value);
+        });
+        return breaks;
+    }
+
+    // Fisher-Jenks natural breaks on sorted values; returns the k - 1 inner breaks
+    function jenksBreaks(sorted, k) {
+        const n = sorted.length;
+        const lower = [];
+        const variance = [];
+        for (let i = 0; i <= n; i++) {
+            lower.push(new Array(k + 1).fill(0));
+            variance.push(new Array(k + 1).fill(i === 0 ? 0 : Infinity));
+        }
+        for (let j = 1; j <= k; j++) {
+            lower[1][j] = 1;
+            variance[1][j] = 0;
+        }
+
+        for (let l = 2; l <= n; l++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let count = 0;
+            let v = 0;
+            for (let m = 1; m <= l; m++) {
+                const lowerIndex = l - m + 1;
+                const value = sorted[lowerIndex - 1];
+                count++;
+                sum += value;
+                sumSquares += value * value;
+                v = sumSquares - (sum * sum) / count;
+                if (lowerIndex > 1) {
+                    for (let j = 2; j <= k; j++) {
+                        if (variance[l][j] >= v + variance[lowerIndex - 1][j - 1]) {
+                            lower[l][j] = lowerIndex;
+                            variance[l][j] = v + variance[lowerIndex - 1][j - 1];
+                        }
+                    }
+                }
+            }
+            lower[l][1] = 1;
+            variance[l][1] = v;
+        }
+
+        const inner = [];
+        let end = n;
+        for (let j = k; j >= 2; j--) {
+            const start = lower[end][j] - 1;
+            inner.unshift(sorted[start - 1]);
+            end = start;
+        }
+        return inner;
+    }
+
+    function classIndex(value, breaks) {
+        for (let i = 1; i < breaks.length - 1; i++) {
+            if (value <= breaks[i]) return i - 1;
+        }
+        return Math.max(0, breaks.length - 2);
+    }
+
+    function classColors(ramp, breaks, midpoint) {
+        const classCount = Math.max(1, breaks.length - 1);
+        const rampDef = Array.isArray(ramp)
+            ? { type: 'sequential', colors: ramp }
+            : COLOR_RAMPS[ramp];
+        if (!rampDef) {
+            console.warn(`InteractiveMapLibrary: Unknown color ramp "${ramp}", using "blues".`);
+            return classColors('blues', breaks, midpoint);
+        }
+
+        // An explicit list with one color per class is used as-is
+        if (Array.isArray(ramp) && ramp.length === classCount) return ramp.slice();
+
+        const colors = [];
+        for (let i = 0; i < classCount; i++) {
+            let t = classCount === 1 ? 1 : i / (classCount - 1);
+            if (rampDef.type === 'diverging' && midpoint !== undefined && breaks.length > 1) {
+                // Place each class on the ramp by its center's distance from the midpoint
+                const center = (breaks[i] + breaks[i + 1]) / 2;
+                const spread = Math.max(Math.abs(breaks[0] - midpoint), Math.abs(breaks[breaks.length - 1] - midpoint)) || 1;
+                t = 0.5 + (0.5 * (center - midpoint)) / spread;
+            }
+            colors.push(interpolateRamp(rampDef.colors, t));
+        }
+        return colors;
+    }
+
+    function interpolateRamp(stops, t) {
+        const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        if (stops.length === 1) return stops[0];
+        const from = hexToRgb(stops[index]);
+        const to = hexToRgb(stops[index + 1]);
+        if (!from || !to) return stops[Math.round(position)];
+        const local = position - index;
+        const channel = (a, b) => Math.round(a + (b - a) * local);
+        const rgb = (channel(from[0], to[0]) << 16) | (channel(from[1], to[1]) << 8) | channel(from[2], to[2]);
+        return '#' + String('000000' + rgb.toString(16)).slice(-6);
+    }
+
+    function hexToRgb(color) {
+        if (typeof color !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) return null;
+        let hex = color.slice(1);
+        if (hex.length === 3) hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
+        const num = parseInt(hex, 16);
+        return [(num >> 16) & 0xFF, (num >> 8) & 0xFF, num & 0xFF];
+    }
+
+    // Spreads bar/legend shades evenly from darker (-30) to lighter (+30) across the metrics
+    function metricShade(index, count) {
+        if (count <= 1) return 0;
+        return Math.round(-30 + (60 * index) / (count - 1));
+    }
+
+    function adjustColor(color, amount) {
+        if (typeof color !== 'string' || !color.startsWith('#')) {
+             const defaultShade = amount < 0 ? '#555555' : '#AAAAAA';
+             return defaultShade;
+        }
+
+        let usePound = true;
+        color = color.slice(1);
+        
+        if (color.length !== 3 && color.length !== 6) {
+            const defaultShade = amount < 0 ? '#555555' : '#AAAAAA';
+            return defaultShade;
+        }
+
+        if(color.length === 3){
+            color = color[0] + color[0] + color[1] + color[1] + color[2] + color[2];
+        }
+
+        const num = parseInt(color, 16);
+        if (isNaN(num)) {
+            const defaultShade = amount < 0 ? '#555555' : '#AAAAAA';
+            return defaultShade;
+        }
+
+        let red = (num >> 16) & 0xFF;
+        let green = (num >> 8) & 0xFF;
+        let blue = num & 0xFF;
+
+        red += amount;
+        if (red > 255) red = 255; else if (red < 0) red = 0;
+
+        green += amount;
+        if (green > 255) green = 255; else if (green < 0) green = 0;
+
+        blue += amount;
+        if (blue > 255) blue = 255; else if (blue < 0) blue = 0;
+
+        return (usePound ? "#" : "") + String("000000" + ((red << 16) | (green << 8) | blue).toString(16)).slice(-6);
+    }
+
+    return {
+        COLOR_RAMPS,
+        parseNumber,
+        sortPeriods,
+        parseCSV,
+        rowsFromGeoJSON,
+        topologyToGeoJSON,
+        isValidColor,
+        buildRegionData,
+        localizeRegion,
+        matchIds,
+        suggestIds,
+        editDistance,
+        classify,
+        jenksBreaks,
+        classIndex,
+        classColors,
+        interpolateRamp,
+        hexToRgb,
+        metricShade,
+        adjustColor
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InteractiveMapCore;
+}
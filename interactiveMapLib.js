@@ -1,38 +1,164 @@
 /**
  * InteractiveMapLibrary
- * A library to create an interactive map with data from a Google Sheet.
+ * A library to create an interactive map with data from a Google Sheet, a CSV/JSON/GeoJSON
+ * file or an in-memory array of rows (see `config.dataSource` and `setData`).
  *
  * Requires:
- * - SheetJS (xlsx.full.min.js): For parsing Excel data from Google Sheets.
+ * - SheetJS (xlsx.full.min.js): For parsing Excel data from Google Sheets. Only needed for XLSX sources.
  * (https://github.com/SheetJS/sheetjs)
  * - Chart.js: For displaying charts.
  * (https://www.chartjs.org/)
+ * - interactiveMapCore.js: The parsing, validation, classification and color helpers. Load it first.
  *
  * Google Sheet Structure:
- * Expected columns: 'id', 'color', 'data1', 'data2'
+ * Expected columns: 'id', 'color', plus any number of numeric metric columns
  * - id: Matches the 'id' attribute of shapes (paths, polylines, rects, etc.) in your SVG map.
- * - color: The fill color for the map region (e.g., '#FF0000', 'blue').
- * - data1: A numerical value to be charted.
- * - data2: Another numerical value to be charted.
+ * - color: The fill color for the map region (e.g., '#FF0000', 'blue'). Optional when `config.choropleth`
+ *   is set: fills are then computed from a metric and a typed color only overrides that region.
+ * - metric columns (e.g. 'population', 'families', 'data1'): Numerical values to be charted.
+ *   Declare them with `config.metrics`, or leave it out and every column holding numbers is used.
+ *   Blank or non-numeric metric cells are kept as "no value" instead of dropping the row.
  * (Optional: 'displayName' for tooltips/titles if different from 'id')
  * (Optional: 'description' for the clicked region)
+ * (Optional: per-language 'displayName_si', 'displayName_ta', 'description_si', … used when `config.locale` matches)
+ * Sheet text is always escaped before it reaches the page. Descriptions can opt into a small
+ * Markdown or HTML subset with `config.descriptionFormat`.
+ * (Optional: a period column such as 'year', set with `config.periodColumn`, or one sheet per
+ *  period by passing a list of sheet names as `config.sheetName`, for time series data)
  */
 class InteractiveMapLibrary {
     /**
      * @param {object} config Configuration object.
-     * @param {string} config.mapElementId ID of the <object> tag embedding the SVG map, or the ID of the <svg> element itself.
+     * @param {string} config.mapElementId ID of the <object> tag embedding the SVG map, the ID of the <svg> element itself,
+     *   or the ID of a <div> that the SVG is loaded into.
+     * @param {string} [config.svgUrl='Map-Aranayaka.svg'] URL of the SVG map loaded into a <div> container.
+     * @param {string} [config.svg] Inline SVG markup to use instead of fetching `svgUrl`.
      * @param {string} config.tooltipElementId ID of the HTML element to use as a tooltip.
      * @param {string} config.chartCanvasId ID of the <canvas> element for the chart.
      * @param {string} config.descriptionElementId ID of the HTML element for displaying descriptions.
      * @param {string} config.legendElementId ID of the HTML element for displaying chart legend.
-     * @param {string} config.googleSheetUrl The public URL to your Google Sheet (exported as .xlsx).
-     * @param {string} [config.sheetName=null] Specific sheet name to use. If null, uses the first sheet.
-     * @param {string} [config.data1Label='Data 1'] Label for data1 in the chart.
-     * @param {string} [config.data2Label='Data 2'] Label for data2 in the chart.
+     * @param {string} [config.googleSheetUrl] The public URL to your Google Sheet (exported as .xlsx).
+     *   Shorthand for `dataSource: { type: 'xlsx', url: googleSheetUrl }`.
+     * @param {object|Array<object>} [config.dataSource] Where rows come from. A plain array is used as-is.
+     * @param {string} [config.dataSource.type] 'xlsx', 'csv', 'json', 'geojson', 'array' or any type registered
+     *   in InteractiveMapLibrary.DATA_SOURCES. Guessed from the URL extension when left out.
+     * @param {string} [config.dataSource.url] URL to fetch (relative URLs work for local fixtures).
+     * @param {Array<object>} [config.dataSource.rows] Row objects for the 'array' type.
+     *   With neither `googleSheetUrl` nor `dataSource`, the map waits for `setData(rows)`.
+     * @param {boolean} [config.cache=true] Keep the last loaded data and SVG in the browser (IndexedDB, or localStorage
+     *   as a fallback) and show them immediately on the next visit while fresh data loads in the background.
+     * @param {string} [config.cacheKey] Prefix for cache entries. Defaults to one per map element id.
+     * @param {number} [config.refreshInterval=0] Reload the data every this many ms (0 disables auto-refresh).
+     * @param {string} [config.freshnessElementId] ID of the HTML element for the "Data as of …" indicator.
+     *   If not found, the indicator is added on top of the map container.
+     * @param {string|string[]} [config.sheetName=null] Specific sheet name to use. If null, uses the first sheet.
+     *   A list of sheet names (or '*' for every sheet) loads one period per sheet, named after the sheet.
+     * @param {string} [config.periodColumn=null] Column holding the period (e.g. 'year'). Rows are kept per period
+     *   and a slider switches between them. Defaults to 'period' when several sheets are loaded.
+     * @param {string} [config.periodControlElementId] ID of the HTML element for the period slider and play button.
+     *   If not found, the control is added on top of the map container.
+     * @param {number} [config.periodPlayInterval=1500] Milliseconds per period while playing.
+     * @param {Array<object>} [config.metrics=null] Metric column schema. If null, metrics are detected from the sheet header.
+     * @param {string} config.metrics[].key Column name in the sheet.
+     * @param {string|object} [config.metrics[].label] Label shown in the chart, legend and tooltip. Defaults to the key.
+     *   An object such as `{ en: 'Population', si: 'ජනගහනය', ta: 'மக்கள் தொகை' }` gives one label per locale.
+     * @param {string} [config.metrics[].unit] Unit appended to formatted values (e.g. 'persons', '%').
+     * @param {string|function} [config.metrics[].format='number'] 'number', 'integer', 'percent', 'currency' or a function(value) returning a string.
+     * @param {number} [config.metrics[].decimals] Fraction digits used by the built-in formats.
+     * @param {string} [config.metrics[].aggregate] How values combine across selected regions: 'sum' or 'mean'.
+     *   Defaults to 'mean' for percent metrics and 'sum' otherwise.
+     * @param {object} [config.choropleth=null] Color regions from a metric instead of the 'color' column.
+     * @param {string} config.choropleth.metric Metric key to classify.
+     * @param {string} [config.choropleth.method='quantile'] 'quantile', 'equal' (equal interval) or 'jenks' (natural breaks).
+     * @param {number} [config.choropleth.classes=5] Number of classes.
+     * @param {string|string[]} [config.choropleth.ramp='blues'] Name from InteractiveMapLibrary.COLOR_RAMPS or an array of colors.
+     * @param {number} [config.choropleth.midpoint] For diverging ramps, the value that gets the neutral middle color.
+     * @param {string} [config.choropleth.noDataColor='lightgray'] Fill for regions with no value for the metric.
+     * @param {string} [config.choroplethLegendElementId] ID of the HTML element for the map-level class legend.
+     *   If not found, a legend box is added on top of the map container.
+     * @param {string} [config.descriptionFormat='text'] How sheet descriptions are rendered: 'text' (escaped),
+     *   'markdown' (**bold**, *italic*, [links](https://…), "- " lists, blank-line paragraphs) or 'html'
+     *   (only the tags in InteractiveMapLibrary.ALLOWED_HTML are kept, links limited to http(s)/mailto/tel).
+     * @param {function} [config.tooltipTemplate] function(regionData, id, library) returning a DOM Node or an HTML
+     *   string for the tooltip. Strings are inserted as-is: escape sheet values with InteractiveMapLibrary.escapeHtml.
+     * @param {function} [config.descriptionTemplate] Same as tooltipTemplate, for the selected region's description.
+     * @param {string} [config.validationElementId] ID of an HTML element to render the data validation report into,
+     *   with a CSV download for fixing the sheet. The report is always available from getValidationReport().
+     * @param {string} [config.searchElementId] ID of an HTML element to render the region search and filter panel into.
+     * @param {string[]} [config.searchFields=[]] Extra sheet columns to search besides 'id' and 'displayName' (e.g. 'name_si').
+     * @param {number} [config.filteredOpacity=0.15] Fill opacity of regions that do not match the active filter.
+     * @param {string} [config.compareElementId] ID of an HTML element for the comparison panel: pin regions and see a
+     *   sortable table of their values, rank among all divisions and difference from the DS-division average.
+     * @param {string} [config.compareChartType='bar'] Chart shown while regions are pinned: 'bar' (grouped) or 'radar'.
+     * @param {string} [config.dataTableElementId] ID of an HTML element for a table of every region's values, the
+     *   screen reader alternative to the map. If not found, a visually hidden table is added after the map container.
+     * @param {Array<object>} [config.layers] Overlay layers drawn above the regions, each shown or hidden from the layer control:
+     *   - `{ type: 'points', id, label, dataSource, xColumn: 'x', yColumn: 'y', latColumn: 'lat', lonColumn: 'lon',
+     *     nameColumn: 'name', categoryColumn, descriptionColumn, colors: { [category]: color }, color, radius: 5 }`
+     *     Markers from rows with SVG coordinates, or lat/lon once the map is georeferenced (GeoJSON points work too).
+     *   - `{ type: 'symbols', id, label, metric, color, maxRadius: 18 }` Circles on each region, area proportional to the metric.
+     *   - `{ type: 'labels', id, label, show: 'name' }` Region labels: the display name, or a metric key to show its value.
+     *   Every layer takes `visible` (default true). `label` may be an object with one label per locale.
+     *   The SVG's own name labels (a `<g id="Names">` group) are listed as the 'svgLabels' layer.
+     * @param {string} [config.layerControlElementId] ID of the HTML element for the layer checkboxes.
+     *   If not found, the control is added on top of the map container.
+     * @param {object} [config.boundaries] Draw the map from GN-division boundaries instead of `svgUrl`:
+     *   `{ url, data, idProperty: 'id', nameProperty: 'name', object, width: 600 }`. `url` (or an inline `data` object)
+     *   is GeoJSON or TopoJSON; `object` picks the TopoJSON object (default: the first). Polygons become `<path>`s
+     *   whose ids are matched against the data like the SVG's own ids, and the map is georeferenced from them.
+     * @param {Array<object>} [config.controlPoints] Georeferences the SVG from three or more places found both on the
+     *   map and on the ground, `[{ x, y, lon, lat }]` with x/y in viewBox units. More points average out errors.
+     * @param {object} [config.geoBounds] Longitude/latitude of the SVG's viewBox edges, `{ west, east, north, south }`,
+     *   a simpler alternative to control points for a north-up map.
+     * @param {string} [config.locale='en'] Language of the library's text and number formatting: 'en', 'si', 'ta'
+     *   or any locale added to InteractiveMapLibrary.MESSAGES. Switch at runtime with setLocale().
+     * @param {object} [config.messages] Message overrides per locale, e.g. `{ si: { noData: '…' } }`.
+     * @param {string} [config.languageSwitcherElementId] ID of an HTML element to render a language selector into.
+     * @param {number} [config.minZoom=1] Smallest zoom factor (1 shows the whole map).
+     * @param {number} [config.maxZoom=10] Largest zoom factor.
+     * @param {boolean} [config.zoomOnClick=true] Zoom to a region when it is clicked.
+     * @param {number} [config.animationDuration=300] Duration of animated view changes in ms (0 to disable).
+     * @param {string} [config.data1Label='Data 1'] Label for a detected 'data1' column (kept for older pages).
+     * @param {string} [config.data2Label='Data 2'] Label for a detected 'data2' column (kept for older pages).
      */
     constructor(config) {
         this.config = {
+            svgUrl: 'Map-Aranayaka.svg',
+            svg: null, // Inline SVG markup, takes precedence over svgUrl
+            dataSource: null, // Falls back to googleSheetUrl
+            cache: true,
+            cacheKey: null, // Derived from mapElementId
+            refreshInterval: 0, // No auto-refresh
+            freshnessElementId: null,
             sheetName: null, // Default to the first sheet
+            periodColumn: null, // Single snapshot
+            periodControlElementId: null,
+            periodPlayInterval: 1500,
+            metrics: null, // Detect from the sheet header
+            choropleth: null, // Use the sheet's 'color' column
+            choroplethLegendElementId: null,
+            descriptionFormat: 'text',
+            tooltipTemplate: null,
+            descriptionTemplate: null,
+            validationElementId: null,
+            searchElementId: null,
+            searchFields: [],
+            filteredOpacity: 0.15,
+            compareElementId: null,
+            compareChartType: 'bar',
+            dataTableElementId: null,
+            locale: 'en',
+            messages: null,
+            languageSwitcherElementId: null,
+            layers: [],
+            layerControlElementId: null,
+            boundaries: null,
+            controlPoints: null,
+            geoBounds: null,
+            minZoom: 1,
+            maxZoom: 10,
+            zoomOnClick: true,
+            animationDuration: 300,
             data1Label: 'Data 1',
             data2Label: 'Data 2',
             ...config,
@@ -49,33 +175,95 @@ class InteractiveMapLibrary {
             console.error('InteractiveMapLibrary: One or more required HTML elements not found. Please check your config IDs.');
             return;
         }
-        if (typeof XLSX === 'undefined') {
-            console.error('InteractiveMapLibrary: XLSX library (SheetJS) is not loaded.');
-            return;
-        }
         if (typeof Chart === 'undefined') {
             console.error('InteractiveMapLibrary: Chart.js library is not loaded.');
             return;
         }
+        if (!InteractiveMapLibrary.core) {
+            console.error('InteractiveMapLibrary: interactiveMapCore.js is not loaded.');
+            return;
+        }
 
-        this.mapData = {}; // To store processed data: { id: { color, data1, data2, displayName, description } }
+        this.mapData = {}; // To store processed data: { id: { color, sheetColor, values: { [metricKey]: number|null }, displayName, description } }
+        this.periods = []; // Sorted period labels when the data has a period column, otherwise empty
+        this.periodData = {}; // { period: mapData for that period }; mapData points at the current period's entry
+        this.currentPeriod = null;
+        this.periodPlayTimer = null;
+        this.metrics = []; // Resolved metric schema: [{ key, label, unit, format, decimals }]
+        this.choroplethClasses = null; // Current classification: { metric, breaks, colors, counts, noDataCount }
+        this.regionElements = []; // Interactive SVG shapes, filled in by _applyStylesAndListeners
+        this.viewportSvg = null; // The <svg> whose viewBox is zoomed
+        this.baseViewBox = null; // The SVG's own viewBox: { x, y, width, height }
+        this.view = { scale: 1, x: 0, y: 0 }; // Current zoom factor and view center in SVG units
+        this.viewAnimationFrame = null;
         this.chartInstance = null;
+        this.listeners = {}; // { eventName: [handler, ...] }, see on()
+        this.selection = []; // Selected region ids, in selection order
+        this.dataTimestamp = null; // When the shown data was fetched (ms since epoch)
+        this.dataStatus = null; // 'fresh', 'cached' (from a previous visit, refreshing), 'refreshing' or 'stale' (refresh failed)
+        this.lastRows = null; // Rows last loaded from the data source, to skip re-rendering unchanged data
+        this.refreshTimer = null;
+        this.interactionsSetUp = false;
+        this.dataIssues = []; // Row-level problems found while loading: { type, id, row, period, column, value, message }
+        this.filter = null; // Active filter: { expression, test(regionData, id) }
+        this.filterMatches = null; // Set of region ids matching the filter, null when no filter is active
+        this.pinned = []; // Region ids pinned for comparison, in pin order
+        this.regionCenters = null; // { id: { x, y } } in SVG units, for arrow-key navigation and layers
+        this.layers = []; // Overlay layers: { id, type, visible, definition, group, rows }, see addLayer()
+        this.layersGroup = null; // <g> above the regions holding every overlay layer
+        this.georeference = null; // Affine lon/lat to SVG transform { a, b, c, d, e, f, rmsError }, see _getGeoreference(); false if unusable
+        this.boundaryProjection = null; // The transform the boundaries were drawn with, when config.boundaries is used
+        this.regionRings = {}; // { id: [[[x, y], ...], ...] } region outlines in SVG units, for finding the region at a point
+        this.compareSort = { column: null, direction: 1 }; // Comparison table sort: 'name' or 'metricKey:value|rank|difference'
 
         this._init();
     }    async _init() {
+        if (!this._getMessages(this.config.locale)) {
+            console.warn(`InteractiveMapLibrary: No messages for locale "${this.config.locale}", using English.`);
+            this.config.locale = 'en';
+        }
+        this._renderLanguageSwitcher();
+        this._renderSearchPanel();
+        this._renderComparePanel();
         try {
             // Load SVG first to avoid CORS issues
             await this._loadSVGDirectly();
             
-            const workbook = await this._fetchAndParseSheet();
-            if (workbook) {
-                this._processData(workbook);
+            // Show the copy from the last visit right away, then revalidate in the background
+            const cached = await this._readDataCache();
+            const rows = cached ? cached.rows : await this._loadRows();
+            if (rows) {
+                this.lastRows = rows;
+                this._processData(rows);
+                this._applyChoropleth();
+                this._updateFilterMatches();
+            }
+            // Without a data source the map is set up grey and waits for setData()
+            if (rows || !this._getDataSource()) {
                 this._setupMapInteractions();
             }
+            if (rows) {
+                this._emit('dataloaded', { mapData: this.mapData, metrics: this.metrics });
+            }
+
+            if (cached) {
+                this.dataTimestamp = cached.savedAt;
+                this.dataStatus = 'cached';
+                this.refreshData();
+            } else if (rows) {
+                this.dataTimestamp = Date.now();
+                this.dataStatus = 'fresh';
+                this._writeDataCache(rows);
+            }
+            this._renderFreshness();
+            if (this.config.refreshInterval > 0 && this._getDataSource()) {
+                this.refreshTimer = setInterval(() => this.refreshData(), this.config.refreshInterval);
+            }
         } catch (error) {
             console.error('InteractiveMapLibrary: Initialization failed.', error);
+            this._emit('error', { error, stage: 'init' });
             if (this.descriptionElement) {
-                this.descriptionElement.innerHTML = `<p style="color: red;">Error initializing map: ${error.message}</p>`;
+                this.descriptionElement.innerHTML = `<p style="color: red;">${InteractiveMapLibrary.escapeHtml(this.t('errorInit', { message: error.message }))}</p>`;
             }
         }
     }
@@ -84,17 +272,10 @@ class InteractiveMapLibrary {
         try {
             // Check if the map element is a div (our new structure) or an existing SVG
             if (this.mapElement.tagName.toLowerCase() === 'div') {
-                const response = await fetch('Map-Aranayaka.svg');
-                const svgText = await response.text();
-                
-                // Create SVG element from text
-                const parser = new DOMParser();
-                const svgDoc = parser.parseFromString(svgText, 'image/svg+xml');
-                const svgElement = svgDoc.documentElement;
-                
-                // Set up the SVG element
-                svgElement.style.width = '100%';
-                svgElement.style.height = '100%';
+                const svgText = this.config.boundaries
+                    ? await this._boundariesToSvg(this.config.boundaries)
+                    : await this._fetchSvgText(this.config.svgUrl);
+                const svgElement = this._createSvgElement(svgText);
                 svgElement.id = this.mapElement.id + '_svg';
                 
                 // Replace the div content with the SVG
@@ -114,63 +295,709 @@ class InteractiveMapLibrary {
         }
     }
 
-    async _fetchAndParseSheet() {
-        try {
-            const response = await fetch(this.config.googleSheetUrl);
+    // Returns `config.svg` when given, otherwise fetches the SVG markup from `url`
+    async _fetchSvgText(url) {
+        if (this.config.svg) return this.config.svg;
+        if (!url) {
+            throw new Error('No SVG map configured. Set svgUrl or svg.');
+        }
+
+        const cacheKey = this._cacheKey(`svg:${url}`);
+        const cached = this.config.cache ? await this._cacheRead(cacheKey) : null;
+        const network = fetch(url).then(response => {
             if (!response.ok) {
-                throw new Error(`Failed to fetch sheet: ${response.statusText}`);
+                throw new Error(`Failed to fetch SVG map "${url}": ${response.statusText}`);
+            }
+            return response.text();
+        }).then(text => {
+            if (this.config.cache) this._cacheWrite(cacheKey, { text, savedAt: Date.now() });
+            return text;
+        });
+
+        if (cached && cached.text) {
+            // Use the cached map now; a changed SVG is picked up on the next load
+            network.catch(error => console.warn('InteractiveMapLibrary: Could not refresh the cached SVG map.', error));
+            return cached.text;
+        }
+        return network;
+    }
+
+    // Projects GeoJSON/TopoJSON polygons into SVG markup shaped like the Illustrator map: one <path> per region in
+    // <g id="GSD_Lines"> and the names in <g id="Names">
+    async _boundariesToSvg(boundaries) {
+        let data = boundaries.data;
+        if (!data) {
+            const response = await this._fetchSource(boundaries);
+            data = await response.json();
+        }
+        const geojson = data && data.type === 'Topology' ? InteractiveMapLibrary.core.topologyToGeoJSON(data, boundaries.object) : data;
+        const features = (geojson && geojson.type === 'FeatureCollection' ? geojson.features : [geojson])
+            .filter(feature => feature && feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type));
+        if (features.length === 0) {
+            throw new Error('The boundary file has no Polygon or MultiPolygon features.');
+        }
+
+        // Equirectangular projection, with longitudes shortened by cos(latitude) so shapes keep their proportions
+        const polygonsOf = feature => feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+        // One pass over the vertices: spreading a detailed file into Math.min() overflows the call stack
+        let west = Infinity;
+        let east = -Infinity;
+        let south = Infinity;
+        let north = -Infinity;
+        features.forEach(feature => polygonsOf(feature).forEach(polygon => polygon.forEach(ring => ring.forEach(([lon, lat]) => {
+            if (lon < west) west = lon;
+            if (lon > east) east = lon;
+            if (lat < south) south = lat;
+            if (lat > north) north = lat;
+        }))));
+        const width = boundaries.width || 600;
+        const shrink = Math.cos(((north + south) / 2) * Math.PI / 180);
+        const scale = width / (((east - west) * shrink) || 1);
+        const projection = { a: scale * shrink, b: 0, c: -west * scale * shrink, d: 0, e: -scale, f: north * scale, rmsError: 0 };
+        const height = (north - south) * scale;
+        const margin = width * 0.01;
+
+        const idProperty = boundaries.idProperty || 'id';
+        const nameProperty = boundaries.nameProperty || 'name';
+        const escape = InteractiveMapLibrary.escapeHtml;
+        const paths = [];
+        const names = [];
+        let missingIds = 0;
+        this.regionRings = {};
+        features.forEach(feature => {
+            const properties = feature.properties || {};
+            const id = properties[idProperty] !== undefined && properties[idProperty] !== null ? properties[idProperty] : feature.id;
+            if (id === undefined || id === null || String(id).trim() === '') {
+                missingIds++;
+                return;
+            }
+            const rings = polygonsOf(feature).flat().map(ring => ring.map(([lon, lat]) => [
+                projection.a * lon + projection.c,
+                projection.e * lat + projection.f
+            ]));
+            this.regionRings[String(id).trim()] = rings;
+            const pathData = rings.map(ring => `M${ring.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join('L')}Z`).join('');
+            paths.push(`<path id="${escape(String(id).trim())}" fill="#FFFFFF" fill-rule="evenodd" d="${pathData}"/>`);
+
+            if (properties[nameProperty]) {
+                const box = rings.flat().reduce((bounds, [px, py]) => ({
+                    left: Math.min(bounds.left, px),
+                    right: Math.max(bounds.right, px),
+                    top: Math.min(bounds.top, py),
+                    bottom: Math.max(bounds.bottom, py)
+                }), { left: Infinity, right: -Infinity, top: Infinity, bottom: -Infinity });
+                const x = (box.left + box.right) / 2;
+                const y = (box.top + box.bottom) / 2;
+                names.push(`<text x="${x.toFixed(2)}" y="${y.toFixed(2)}" text-anchor="middle" font-family="Arial" font-size="${(width / 100).toFixed(2)}">${escape(properties[nameProperty])}</text>`);
+            }
+        });
+        if (missingIds > 0) {
+            console.warn(`InteractiveMapLibrary: ${missingIds} boundary features have no "${idProperty}" property and were left out.`);
+        }
+
+        this.boundaryProjection = projection;
+        this.georeference = null;
+        const viewBox = [-margin, -margin, width + 2 * margin, height + 2 * margin].map(value => value.toFixed(2)).join(' ');
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}"><g id="GSD_Lines">${paths.join('')}</g>`
+            + `<g id="Names" pointer-events="none">${names.join('')}</g></svg>`;
+    }
+
+    _createSvgElement(svgText) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const parser = new DOMParser();
+        const svgDoc = parser.parseFromString(svgText, 'image/svg+xml');
+        let svgElement = svgDoc.documentElement;
+        if (svgDoc.getElementsByTagName('parsererror').length > 0 || svgElement.tagName.toLowerCase() !== 'svg') {
+            throw new Error('The map source is not valid SVG markup.');
+        }
+        // Markup copied out of an HTML page often has no xmlns, which the XML parser leaves as a plain
+        // element without styles; the HTML parser puts <svg> in the SVG namespace by itself
+        if (svgElement.namespaceURI !== svgNS) {
+            svgElement = parser.parseFromString(svgText, 'text/html').querySelector('svg');
+        }
+
+        // Adopt into this page so each map owns an independent copy of the shapes
+        const imported = document.importNode(svgElement, true);
+        imported.style.width = '100%';
+        imported.style.height = '100%';
+        return imported;
+    }
+
+    /**
+     * Replaces the map data with in-memory row objects, without any network fetch.
+     * Rows go through the same validation as rows loaded from a data source.
+     * @param {Array<object>} rows Row objects with 'id', optional 'color', 'displayName', 'description' and metric columns.
+     */
+    setData(rows) {
+        if (!Array.isArray(rows)) {
+            console.error('InteractiveMapLibrary: setData expects an array of row objects.');
+            return;
+        }
+        this._processData(rows);
+        this._applyChoropleth();
+        this._updateFilterMatches();
+        // Drop selected and pinned regions that no longer have data
+        this.selection = this.selection.filter(id => this.mapData[id]);
+        this.pinned = this.pinned.filter(id => this.mapData[id]);
+        if (this.regionElements.length > 0) {
+            this._refreshFills();
+            if (this.selection.length > 0 || this.pinned.length > 0) {
+                this._renderSelection();
+            } else {
+                this._updateStatus();
+            }
+            this._renderValidationPanel();
+            this._updateRegionAccessibility();
+            this._renderDataTable();
+            this._renderRegionLayers();
+        }
+        this._emit('dataloaded', { mapData: this.mapData, metrics: this.metrics });
+    }
+
+    _getDataSource() {
+        const source = this.config.dataSource || (this.config.googleSheetUrl ? { type: 'xlsx', url: this.config.googleSheetUrl } : null);
+        return this._normalizeSource(source);
+    }
+
+    // Accepts a row array or a source object and fills in the type from the URL extension
+    _normalizeSource(source) {
+        if (Array.isArray(source)) {
+            source = { type: 'array', rows: source };
+        }
+        if (!source) return null;
+
+        if (!source.type) {
+            const extension = (String(source.url || '').split(/[?#]/)[0].match(/\.([a-z]+)$/i) || [])[1];
+            const byExtension = { xlsx: 'xlsx', xls: 'xlsx', csv: 'csv', json: 'json', geojson: 'geojson' };
+            source = { ...source, type: source.rows ? 'array' : (byExtension[(extension || '').toLowerCase()] || 'xlsx') };
+        }
+        return source;
+    }
+
+    /**
+     * Reloads the data from the data source and re-renders the map if it changed. If loading fails
+     * the current data stays on screen and the freshness indicator says it is an offline copy.
+     * @returns {Promise<boolean>} Whether fresh data was loaded.
+     */
+    async refreshData() {
+        if (!this._getDataSource()) return false;
+        if (this.refreshPromise) return this.refreshPromise;
+
+        const previousStatus = this.dataStatus;
+        this.dataStatus = 'refreshing';
+        this._renderFreshness();
+        this.refreshPromise = (async () => {
+            const rows = await this._loadRows({ quiet: previousStatus !== null });
+            if (!rows) {
+                this.dataStatus = previousStatus === null ? null : 'stale';
+                return false;
+            }
+            this.dataTimestamp = Date.now();
+            this.dataStatus = 'fresh';
+            this._writeDataCache(rows);
+            if (JSON.stringify(rows) !== JSON.stringify(this.lastRows)) {
+                this.lastRows = rows;
+                this.setData(rows);
+                // The first load failed, so the map was never wired up
+                if (!this.interactionsSetUp && this.mapElement) this._setupMapInteractions();
+            }
+            return true;
+        })();
+
+        try {
+            return await this.refreshPromise;
+        } finally {
+            this.refreshPromise = null;
+            this._renderFreshness();
+        }
+    }
+
+    /** Stops the periodic refresh started by `config.refreshInterval`. */
+    stopAutoRefresh() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    _cacheKey(suffix) {
+        return `${this.config.cacheKey || `interactive-map:${this.config.mapElementId}`}:${suffix}`;
+    }
+
+    _dataCacheKey() {
+        const source = this._getDataSource();
+        const sheet = source.sheetName || this.config.sheetName;
+        return this._cacheKey(`data:${source.url || source.type}${sheet ? `#${[].concat(sheet).join(',')}` : ''}`);
+    }
+
+    async _readDataCache() {
+        const source = this._getDataSource();
+        // In-memory arrays are already local, nothing to cache
+        if (!this.config.cache || !source || source.type === 'array') return null;
+        const cached = await this._cacheRead(this._dataCacheKey());
+        if (!cached || !Array.isArray(cached.rows)) return null;
+        if (Array.isArray(cached.rowNums)) {
+            cached.rows.forEach((row, index) => this._keepRowNum(row, cached.rowNums[index]));
+        }
+        return cached;
+    }
+
+    _writeDataCache(rows) {
+        const source = this._getDataSource();
+        if (!this.config.cache || !source || source.type === 'array') return;
+        this._cacheWrite(this._dataCacheKey(), { rows, rowNums: rows.map(row => row.__rowNum__ !== undefined ? row.__rowNum__ : null), savedAt: this.dataTimestamp || Date.now() });
+    }
+
+    // Cache storage: IndexedDB when available (no practical size limit), otherwise localStorage.
+    // Failures (private browsing, quota) only mean nothing is cached.
+    _openCacheDb() {
+        if (this.cacheDbPromise) return this.cacheDbPromise;
+        this.cacheDbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            try {
+                const request = indexedDB.open('interactive-map-cache', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('entries');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+            } catch (error) {
+                resolve(null);
+            }
+        });
+        return this.cacheDbPromise;
+    }
+
+    async _cacheRead(key) {
+        try {
+            const db = await this._openCacheDb();
+            if (db) {
+                return await new Promise((resolve, reject) => {
+                    const request = db.transaction('entries', 'readonly').objectStore('entries').get(key);
+                    request.onsuccess = () => resolve(request.result || null);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            const text = typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            console.warn('InteractiveMapLibrary: Could not read cache.', error);
+            return null;
+        }
+    }
+
+    async _cacheWrite(key, value) {
+        try {
+            const db = await this._openCacheDb();
+            if (db) {
+                await new Promise((resolve, reject) => {
+                    const transaction = db.transaction('entries', 'readwrite');
+                    transaction.objectStore('entries').put(value, key);
+                    transaction.oncomplete = () => resolve();
+                    transaction.onerror = () => reject(transaction.error);
+                });
+            } else if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(key, JSON.stringify(value));
+            }
+        } catch (error) {
+            console.warn('InteractiveMapLibrary: Could not write cache.', error);
+        }
+    }
+
+    // Fallback box for indicators and controls without a configured element, floating over the map
+    // container at `position` ({ left|right, top|bottom }). Null when the map has no container.
+    _createFloatingPanel(className, position, style = {}) {
+        if (!this.mapElement || !this.mapElement.parentNode) return null;
+        const element = document.createElement('div');
+        element.className = className;
+        Object.assign(element.style, {
+            position: 'absolute',
+            background: 'rgba(255, 255, 255, 0.9)',
+            border: '1px solid #ccc',
+            borderRadius: '4px',
+            padding: '6px 10px',
+            fontSize: '0.85em',
+            zIndex: '1000'
+        }, position, style);
+        this.mapElement.parentNode.appendChild(element);
+        return element;
+    }
+
+    _renderFreshness() {
+        if (!this._getDataSource() || this.dataTimestamp === null) {
+            if (this.freshnessElement) this.freshnessElement.style.display = 'none';
+            return;
+        }
+
+        if (!this.freshnessElement) {
+            let element = this.config.freshnessElementId
+                ? document.getElementById(this.config.freshnessElementId)
+                : null;
+            if (!element) {
+                // No element configured: float the indicator in the bottom right of the map container
+                element = this._createFloatingPanel('interactive-map-freshness', { right: '20px', bottom: '20px' }, { padding: '4px 8px', fontSize: '0.8em' });
             }
-            const arrayBuffer = await response.arrayBuffer();
-            return XLSX.read(arrayBuffer, { type: 'array' });
+            if (!element) return;
+            element.setAttribute('role', 'status');
+            this.freshnessElement = element;
+        }
+
+        const notes = { cached: 'updating', refreshing: 'updating', stale: 'offlineCopy' };
+        this.freshnessElement.style.display = '';
+        this.freshnessElement.style.color = this.dataStatus === 'stale' ? '#b26a00' : '#555';
+        this.freshnessElement.textContent = this.t('dataAsOf', { date: new Date(this.dataTimestamp).toLocaleString(this._numberLocale()) })
+            + (notes[this.dataStatus] ? ` · ${this.t(notes[this.dataStatus])}` : '');
+    }
+
+    async _loadRows(options = {}) {
+        const source = this._getDataSource();
+        if (!source) return null;
+
+        try {
+            return await this._fetchRows(source);
         } catch (error) {
-            console.error('InteractiveMapLibrary: Error fetching or parsing sheet.', error);
+            this._emit('error', { error, stage: options.quiet ? 'refresh' : 'data' });
+            if (options.quiet) {
+                // Background refresh: keep showing the data we have
+                console.warn('InteractiveMapLibrary: Could not refresh data, keeping the current copy.', error);
+                return null;
+            }
+            console.error('InteractiveMapLibrary: Error fetching or parsing data source.', error);
             if (this.descriptionElement) {
-                this.descriptionElement.innerHTML = `<p style="color: red;">Error loading map data. Please check the sheet URL and format.</p>`;
+                this.descriptionElement.innerHTML = `<p style="color: red;">${InteractiveMapLibrary.escapeHtml(this.t('errorData', { message: error.message }))}</p>`;
             }
             return null;
         }
     }
 
-    _processData(workbook) {
-        const sheetName = this.config.sheetName || workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
+    // Runs the loader for a normalized source; throws if it fails or returns something other than rows
+    async _fetchRows(source) {
+        const loader = InteractiveMapLibrary.DATA_SOURCES[source.type];
+        if (!loader) {
+            throw new Error(`Unknown data source type "${source.type}"`);
+        }
+        const rows = await loader(source, this);
+        if (!Array.isArray(rows)) {
+            throw new Error(`Data source "${source.type}" did not return an array of rows`);
+        }
+        return rows;
+    }
+
+    async _fetchSource(source) {
+        if (!source.url) {
+            throw new Error(`Data source "${source.type}" needs a url`);
+        }
+        const response = await fetch(source.url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch data: ${response.statusText}`);
+        }
+        return response;
+    }
+
+    _rowsFromWorkbook(workbook, sheetName) {
+        // Several sheets: one period per sheet, tagged with the sheet name
+        if (Array.isArray(sheetName) || sheetName === '*') {
+            const names = sheetName === '*' ? workbook.SheetNames : sheetName;
+            const periodColumn = this._getPeriodColumn();
+            return names.reduce((rows, name) => rows.concat(
+                this._rowsFromWorkbook(workbook, name).map(row => this._keepRowNum({ ...row, [periodColumn]: name }, row.__rowNum__))
+            ), []);
+        }
+
+        const name = sheetName || workbook.SheetNames[0];
+        const worksheet = workbook.Sheets[name];
         if (!worksheet) {
-            console.error(`InteractiveMapLibrary: Sheet "${sheetName}" not found in the workbook.`);
-            if (this.descriptionElement) {
-                this.descriptionElement.innerHTML = `<p style="color: red;">Error: Sheet "${sheetName}" not found.</p>`;
-            }
-            return;
+            throw new Error(`Sheet "${name}" not found in the workbook.`);
         }
+        return XLSX.utils.sheet_to_json(worksheet);
+    }
 
-        const jsonData = XLSX.utils.sheet_to_json(worksheet);
-
-        jsonData.forEach(row => {
-            // Ensure 'id' from sheet is treated as a string for reliable matching with SVG element IDs
-            const id = row.id ? String(row.id).trim() : null;
-            const color = row.color ? String(row.color).trim() : 'lightgray';
-            const data1 = parseFloat(row.data1);
-            const data2 = parseFloat(row.data2);
-            const displayName = row.displayName ? String(row.displayName).trim() : id;
-            const description = row.description ? String(row.description).trim() : `Details for ${displayName || id}`;
-
-            if (id && !isNaN(data1) && !isNaN(data2)) {
-                this.mapData[id] = {
-                    color,
-                    data1,
-                    data2,
-                    displayName: displayName || id,
-                    description: description || `Details for ${displayName || id}`
-                };
-            } else {
-                console.warn('InteractiveMapLibrary: Skipping row due to missing id or invalid data:', row);
+    // SheetJS tags each row object with its 0-based sheet row as a hidden __rowNum__, which copies
+    // and cached rows lose; the validation report needs it to point at the right sheet row
+    _keepRowNum(row, rowNum) {
+        if (rowNum !== undefined && rowNum !== null) {
+            Object.defineProperty(row, '__rowNum__', { value: rowNum, configurable: true });
+        }
+        return row;
+    }
+
+    _processData(rows) {
+        this.metrics = this._resolveMetrics(rows);
+        this.dataIssues = [];
+        // Sheet row numbers for the validation report: from SheetJS where known (blank rows and several
+        // sheets included), otherwise counted assuming a header row and no blank lines
+        this.rowNumbers = new Map(rows.map((row, index) => [row, row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2]));
+
+        const periodColumn = this._getPeriodColumn();
+        if (periodColumn) {
+            // Group rows by period, keeping every period instead of a single snapshot
+            const rowsByPeriod = {};
+            rows.forEach(row => {
+                const raw = row[periodColumn];
+                if (raw === undefined || raw === null || String(raw).trim() === '') {
+                    console.warn(`InteractiveMapLibrary: Skipping row due to missing "${periodColumn}":`, row);
+                    this._addDataIssue('missingPeriod', row, { column: periodColumn, message: `Missing "${periodColumn}", row skipped` });
+                    return;
+                }
+                const period = String(raw).trim();
+                (rowsByPeriod[period] = rowsByPeriod[period] || []).push(row);
+            });
+            this.periods = InteractiveMapLibrary.core.sortPeriods(Object.keys(rowsByPeriod));
+            this.periodData = {};
+            this.periods.forEach(period => {
+                this.periodData[period] = this._buildRegionData(rowsByPeriod[period], period);
+            });
+            // Stay on the shown period when data is replaced, otherwise show the latest one
+            if (!this.periods.includes(this.currentPeriod)) {
+                this.currentPeriod = this.periods.length > 0 ? this.periods[this.periods.length - 1] : null;
             }
-        });
+            this.mapData = this.currentPeriod !== null ? this.periodData[this.currentPeriod] : {};
+        } else {
+            this.periods = [];
+            this.periodData = {};
+            this.currentPeriod = null;
+            this.mapData = this._buildRegionData(rows);
+        }
+        this._renderPeriodControl();
 
         if (Object.keys(this.mapData).length === 0) {
             console.warn("InteractiveMapLibrary: No valid data processed from the sheet.");
-            if (this.descriptionElement) this.descriptionElement.textContent = "No data loaded or data format is incorrect.";
+            if (this.descriptionElement) this.descriptionElement.textContent = this.t('noDataLoaded');
+        }
+    }
+
+    _buildRegionData(rows, period = null) {
+        const { mapData, issues } = InteractiveMapLibrary.core.buildRegionData(rows, this.metrics, { period, locale: this.config.locale });
+        issues.forEach(({ type, row, duplicateOf, ...details }) => {
+            // Sheet row numbers are only known here
+            const message = type === 'duplicateId'
+                ? `Duplicate id, also on row ${this.rowNumbers.get(duplicateOf) || '?'}; this row is used`
+                : details.message;
+            console.warn(`InteractiveMapLibrary: ${message}${details.id ? ` ("${details.id}")` : ''}:`, row);
+            this._addDataIssue(type, row, { ...details, message });
+        });
+        return mapData;
+    }
+
+    _addDataIssue(type, row, details) {
+        this.dataIssues.push({
+            type,
+            id: null,
+            period: null,
+            column: null,
+            value: null,
+            ...details,
+            row: this.rowNumbers ? this.rowNumbers.get(row) || null : null
+        });
+    }
+
+    /**
+     * Checks the loaded data against the map.
+     * @returns {object} Report with:
+     * - `unmatchedIds`: `[{ id, row, suggestions }]` sheet ids with no SVG region, with likely intended region ids.
+     * - `regionsWithoutData`: SVG region ids with no row in the data.
+     * - `duplicateIds`, `invalidColors`, `nonNumericCells`, `skippedRows`: row issues `{ id, row, period, column, value, message }`.
+     * - `summary`: counts of each list.
+     */
+    getValidationReport() {
+        const svgIds = this.regionElements.map(el => el.id);
+        const dataIds = new Map(); // id -> first sheet row
+        const snapshots = this.periods.length > 0 ? this.periods.map(period => this.periodData[period]) : [this.mapData];
+        snapshots.forEach(mapData => {
+            Object.entries(mapData).forEach(([id, regionData]) => {
+                if (!dataIds.has(id)) dataIds.set(id, this.rowNumbers ? this.rowNumbers.get(regionData.attributes) || null : null);
+            });
+        });
+
+        const matches = InteractiveMapLibrary.core.matchIds(Array.from(dataIds.keys()), svgIds);
+        const unmatchedIds = matches.unmatchedIds.map(item => ({ id: item.id, row: dataIds.get(item.id), suggestions: item.suggestions }));
+        const regionsWithoutData = matches.regionsWithoutData;
+        const byType = type => this.dataIssues.filter(issue => type.includes(issue.type));
+
+        const report = {
+            unmatchedIds,
+            regionsWithoutData,
+            duplicateIds: byType(['duplicateId']),
+            invalidColors: byType(['invalidColor']),
+            nonNumericCells: byType(['nonNumeric']),
+            skippedRows: byType(['missingId', 'missingPeriod'])
+        };
+        report.summary = {};
+        Object.keys(report).filter(key => key !== 'summary').forEach(key => {
+            report.summary[key] = report[key].length;
+        });
+        return report;
+    }
+
+    /**
+     * Flattens the validation report into CSV (one problem per line) for the people maintaining the sheet.
+     * @returns {string}
+     */
+    getValidationReportCSV() {
+        const report = this.getValidationReport();
+        const lines = [['issue', 'id', 'row', 'period', 'column', 'value', 'details']];
+        report.unmatchedIds.forEach(item => {
+            lines.push(['unmatched id', item.id, item.row, '', 'id', item.id,
+                item.suggestions.length > 0 ? `No map region with this id. Did you mean: ${item.suggestions.join(', ')}?` : 'No map region with this id']);
+        });
+        report.regionsWithoutData.forEach(id => {
+            lines.push(['region without data', id, '', '', 'id', '', 'Map region has no row in the data']);
+        });
+        const issueLabels = { duplicateIds: 'duplicate id', invalidColors: 'invalid color', nonNumericCells: 'non-numeric cell', skippedRows: 'skipped row' };
+        Object.keys(issueLabels).forEach(key => {
+            report[key].forEach(issue => {
+                lines.push([issueLabels[key], issue.id, issue.row, issue.period, issue.column, issue.value, issue.message]);
+            });
+        });
+
+        const cell = value => {
+            let text = value === null || value === undefined ? '' : String(value);
+            // Sheet text starting like a formula would run when the report is opened in Excel
+            if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return lines.map(line => line.map(cell).join(',')).join('\r\n');
+    }
+
+    /** Downloads the validation report as a CSV file. */
+    downloadValidationReport(filename = 'map-data-validation.csv') {
+        // Byte order mark so Excel opens Sinhala/Tamil text as UTF-8
+        const blob = new Blob(['\uFEFF' + this.getValidationReportCSV()], { type: 'text/csv;charset=utf-8' });
+        this._downloadBlob(blob, filename);
+    }
+
+    _downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    _renderValidationPanel() {
+        const container = this.config.validationElementId ? document.getElementById(this.config.validationElementId) : null;
+        if (!container) return;
+
+        const report = this.getValidationReport();
+        const escape = InteractiveMapLibrary.escapeHtml;
+        const total = Object.values(report.summary).reduce((sum, count) => sum + count, 0);
+        if (total === 0) {
+            container.innerHTML = `<p style="color: green;">${escape(this.t('validationOk'))}</p>`;
+            return;
+        }
+
+        const section = (title, items, render) => items.length === 0 ? '' : `
+            <details>
+                <summary>${escape(title)} (${items.length})</summary>
+                <ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>
+            </details>`;
+        const rowLabel = issue => [issue.row ? escape(this.t('rowNumber', { row: issue.row })) : '', issue.period ? escape(this.t('periodName', { period: issue.period })) : '']
+            .filter(Boolean).join(', ');
+        const issueItem = issue => `<strong>${escape(issue.id || '(no id)')}</strong>`
+            + `${issue.column ? ` · ${escape(issue.column)}` : ''}`
+            + `${issue.value !== null && issue.value !== undefined ? ` = "${escape(issue.value)}"` : ''}`
+            + ` — ${escape(issue.message)}${rowLabel(issue) ? ` (${rowLabel(issue)})` : ''}`;
+
+        container.innerHTML = `
+            <p style="color: orange;"><strong>${escape(this.t('validationProblems', { count: total }))}</strong></p>
+            ${section(this.t('unmatchedSheetIds'), report.unmatchedIds, item => `<strong>${escape(item.id)}</strong>`
+                + `${item.row ? ` (${escape(this.t('rowNumber', { row: item.row }))})` : ''}`
+                + `${item.suggestions.length > 0 ? ` — ${escape(this.t('didYouMean', { ids: item.suggestions.join(', ') }))}` : ''}`)}
+            ${section(this.t('regionsWithoutData'), report.regionsWithoutData, id => escape(id))}
+            ${section(this.t('duplicateIds'), report.duplicateIds, issueItem)}
+            ${section(this.t('invalidColors'), report.invalidColors, issueItem)}
+            ${section(this.t('nonNumericCells'), report.nonNumericCells, issueItem)}
+            ${section(this.t('skippedRows'), report.skippedRows, issueItem)}`;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = this.t('downloadReport');
+        button.style.marginTop = '8px';
+        button.addEventListener('click', () => this.downloadValidationReport());
+        container.appendChild(button);
+    }
+
+    _getPeriodColumn() {
+        if (this.config.periodColumn) return this.config.periodColumn;
+        const sheetName = (this.config.dataSource && this.config.dataSource.sheetName) || this.config.sheetName;
+        return Array.isArray(sheetName) || sheetName === '*' ? 'period' : null;
+    }
+
+    /**
+     * Builds the metric schema from `config.metrics`, or detects it from the sheet rows
+     * when none is configured: every non-reserved column with at least one numeric cell.
+     */
+    _resolveMetrics(rows) {
+        if (Array.isArray(this.config.metrics) && this.config.metrics.length > 0) {
+            return this.config.metrics
+                .map(metric => typeof metric === 'string' ? { key: metric } : metric)
+                .filter(metric => metric && metric.key)
+                .map(metric => this._normalizeMetric(metric));
+        }
+
+        const reserved = ['id', 'color', 'displayName', 'description', this._getPeriodColumn()];
+        const keys = [];
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                // Per-language name and description columns are text too
+                if (!reserved.includes(key) && !/^(displayName|description)_/.test(key) && !keys.includes(key)) keys.push(key);
+            });
+        });
+
+        return keys
+            .filter(key => rows.some(row => InteractiveMapLibrary.core.parseNumber(row[key]) !== null))
+            .map(key => this._normalizeMetric({ key }));
+    }
+
+    _normalizeMetric(metric) {
+        const legacyLabels = { data1: this.config.data1Label, data2: this.config.data2Label };
+        const labels = metric.label && typeof metric.label === 'object' ? metric.label : null; // Per-locale labels
+        return {
+            format: 'number',
+            unit: '',
+            aggregate: metric.format === 'percent' ? 'mean' : 'sum',
+            ...metric,
+            labels,
+            label: (labels ? this._localizedLabel(labels) : metric.label) || legacyLabels[metric.key] || metric.key
+        };
+    }
+
+    _localizedLabel(labels) {
+        return labels[this.config.locale] || labels.en || Object.values(labels)[0];
+    }
+
+    _formatMetricValue(metric, value) {
+        if (value === null || value === undefined) return this.t('noData');
+        if (typeof metric.format === 'function') return metric.format(value);
+
+        const locale = this._numberLocale();
+        const options = {};
+        if (metric.decimals !== undefined) {
+            options.minimumFractionDigits = metric.decimals;
+            options.maximumFractionDigits = metric.decimals;
         }
+        let text;
+        switch (metric.format) {
+            case 'integer':
+                text = Math.round(value).toLocaleString(locale);
+                break;
+            case 'percent':
+                // Percent metrics are stored as 0-100 numbers in the sheet
+                text = `${value.toLocaleString(locale, { maximumFractionDigits: 1, ...options })}%`;
+                break;
+            case 'currency':
+                text = this.t('currency', { amount: value.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2, ...options }) });
+                break;
+            default:
+                text = value.toLocaleString(locale, options);
+        }
+        return metric.unit ? `${text} ${metric.unit}` : text;
     }    _setupMapInteractions() {
+        this.interactionsSetUp = true;
         if (this.svgElement) {
             // We already have the SVG loaded directly
             this._applyStylesAndListeners(document);
@@ -201,26 +1028,17 @@ class InteractiveMapLibrary {
 
     async _convertObjectToDirectSVG() {
         try {
-            const svgUrl = this.mapElement.getAttribute('data');
-            const response = await fetch(svgUrl);
-            const svgText = await response.text();
-            
-            // Create a new SVG element from the text
-            const parser = new DOMParser();
-            const svgDoc = parser.parseFromString(svgText, 'image/svg+xml');
-            const svgElement = svgDoc.documentElement;
-            
-            // Copy attributes from object to SVG
-            svgElement.style.width = '100%';
-            svgElement.style.height = '100%';
+            const svgText = await this._fetchSvgText(this.mapElement.getAttribute('data'));
+            const svgElement = this._createSvgElement(svgText);
             svgElement.id = this.mapElement.id;
             
             // Replace the object with the SVG
             this.mapElement.parentNode.replaceChild(svgElement, this.mapElement);
             this.mapElement = svgElement;
+            this.svgElement = svgElement;
             
             // Apply interactions to the new SVG
-            this._applyStylesAndListeners(document);
+            this._applyStylesAndListeners(svgElement);
             
         } catch (error) {
             console.error('InteractiveMapLibrary: Failed to convert object to direct SVG:', error);
@@ -249,6 +1067,19 @@ class InteractiveMapLibrary {
             polyline[id]:hover, path[id]:hover, polygon[id]:hover, rect[id]:hover, circle[id]:hover, ellipse[id]:hover {
                 filter: brightness(1.2) drop-shadow(0 2px 2px rgba(0,0,0,0.3));
             }
+            /* Only the region shapes: this style applies to the whole page when the SVG is inline */
+            polyline[id][role="button"]:focus, path[id][role="button"]:focus, polygon[id][role="button"]:focus,
+            rect[id][role="button"]:focus, circle[id][role="button"]:focus, ellipse[id][role="button"]:focus {
+                outline: none;
+            }
+            /* Keyboard focus wins over the inline selection stroke */
+            polyline[id][role="button"]:focus-visible, path[id][role="button"]:focus-visible, polygon[id][role="button"]:focus-visible,
+            rect[id][role="button"]:focus-visible, circle[id][role="button"]:focus-visible, ellipse[id][role="button"]:focus-visible {
+                stroke: #0056b3 !important;
+                stroke-width: 2.5 !important;
+                stroke-dasharray: none !important;
+                filter: brightness(1.2) drop-shadow(0 0 3px rgba(0,86,179,0.8));
+            }
         `;
         
         if (rootSvg.firstChild) {
@@ -259,134 +1090,2301 @@ class InteractiveMapLibrary {
 
         // Find all interactive elements - look for polylines, paths, and other shapes with IDs
         const interactiveElements = rootSvg.querySelectorAll('polyline[id], path[id], polygon[id], rect[id], circle[id], ellipse[id]');
+        this.regionElements = Array.from(interactiveElements);
 
         console.log(`InteractiveMapLibrary: Found ${interactiveElements.length} interactive elements in SVG`);
         console.log('Available element IDs:', Array.from(interactiveElements).map(el => el.id));
         console.log('Data keys:', Object.keys(this.mapData));
 
-        interactiveElements.forEach(element => {
+        if (!rootSvg.hasAttribute('aria-label')) {
+            rootSvg.setAttribute('role', 'group');
+            rootSvg.setAttribute('aria-label', this.t('mapLabel'));
+            this.labelsMap = true; // Relabel on setLocale()
+        }
+        this.tooltipElement.setAttribute('role', 'tooltip');
+
+        interactiveElements.forEach((element, index) => {
             const id = element.id;
-            const regionData = this.mapData[id];
 
-            console.log(`Processing element with ID: ${id}`, regionData ? 'Has data' : 'No data');
+            // Regions are buttons with a roving tabindex: one Tab stop for the map, arrow keys inside it
+            element.setAttribute('role', 'button');
+            element.setAttribute('tabindex', index === 0 ? '0' : '-1');
 
-            if (regionData) {
-                // Apply fill color
-                element.style.fill = regionData.color;
-                element.style.fillOpacity = '0.8';
-                
-                // Add interaction events
-                element.addEventListener('mousemove', (event) => {
-                    this.tooltipElement.style.display = 'block';
-                    const nameToShow = regionData.displayName || id;
-                    this.tooltipElement.innerHTML = nameToShow;
-                    this.tooltipElement.style.left = `${event.pageX + 15}px`;
-                    this.tooltipElement.style.top = `${event.pageY + 10}px`;
-                });
+            // Handlers look the region up on every event so setData() can swap the data later
+            element.addEventListener('mousemove', (event) => {
+                this._showTooltip(id, event.pageX, event.pageY);
+            });
 
-                element.addEventListener('mouseout', () => {
-                    this.tooltipElement.style.display = 'none';
-                });
+            element.addEventListener('mouseenter', (event) => {
+                this._emit('regionhover', { id, data: this.mapData[id] || null, originalEvent: event });
+            });
 
-                element.addEventListener('click', () => {
-                    this._displayChartForId(id);
-                    if (this.descriptionElement) {
-                        this.descriptionElement.innerHTML = `<h3>${regionData.displayName || id}</h3><p>${regionData.description || 'No description available.'}</p>`;
-                    }
-                    // Reset stroke width for all interactive elements
-                    interactiveElements.forEach(el => {
-                        el.style.strokeWidth = "0.5";
-                        el.style.stroke = "black";
-                    });
-                    // Highlight the clicked element
-                    element.style.strokeWidth = "2";
-                    element.style.stroke = regionData.color;
-                });
-            } else {
-                // If ID is present but not in mapData
-                element.style.fill = 'lightgray';
-                element.style.fillOpacity = '0.8';
-                element.addEventListener('mousemove', (event) => {
-                    this.tooltipElement.style.display = 'block';
-                    this.tooltipElement.innerHTML = `${id} (No data)`;
-                    this.tooltipElement.style.left = `${event.pageX + 15}px`;
-                    this.tooltipElement.style.top = `${event.pageY + 10}px`;
-                });
-                element.addEventListener('mouseout', () => {
-                    this.tooltipElement.style.display = 'none';
-                });
-            }
+            element.addEventListener('mouseout', () => {
+                this.tooltipElement.style.display = 'none';
+            });
+
+            element.addEventListener('mouseleave', (event) => {
+                this._emit('regionhover', { id: null, data: null, originalEvent: event });
+            });
+
+            element.addEventListener('focus', (event) => {
+                this.regionElements.forEach(other => other.setAttribute('tabindex', other === element ? '0' : '-1'));
+                // A click focuses the region too; mouseenter already covered hover, and panning would fight a drag
+                if (!this._isKeyboardFocus(element)) return;
+                this._scrollRegionIntoView(id);
+                // Show the tooltip next to the region, as if the pointer were at its top right corner
+                const rect = element.getBoundingClientRect();
+                this._showTooltip(id, rect.right + window.scrollX - 15, rect.top + window.scrollY);
+                if (element.ownerDocument === document) element.setAttribute('aria-describedby', this.tooltipElement.id);
+                this._emit('regionhover', { id, data: this.mapData[id] || null, originalEvent: event });
+            });
+
+            element.addEventListener('blur', (event) => {
+                this.tooltipElement.style.display = 'none';
+                element.removeAttribute('aria-describedby');
+                this._emit('regionhover', { id: null, data: null, originalEvent: event });
+            });
+
+            element.addEventListener('keydown', (event) => {
+                if (event.key.startsWith('Arrow')) {
+                    // Move between regions instead of panning the map
+                    event.preventDefault();
+                    event.stopPropagation();
+                    const nextId = this._adjacentRegion(id, event.key);
+                    const next = nextId && this.regionElements.find(el => el.id === nextId);
+                    if (next) next.focus();
+                } else if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    this._activateRegion(id, event);
+                } else if (event.key === 'Escape') {
+                    this.clearSelection();
+                }
+            });
+
+            element.addEventListener('click', (event) => this._activateRegion(id, event));
         });
 
-        // Update description element with status
-        if (this.descriptionElement) {
-             if (interactiveElements.length === 0) {
-                this.descriptionElement.innerHTML = `<p style="color: orange;">Map interactions set up, but no SVG elements with 'id' attributes were found. Please check your SVG structure.</p>`;
-             } else if (Object.keys(this.mapData).length === 0) {
-                this.descriptionElement.innerHTML = `<p style="color: red;">Map loaded, but no data was processed from the sheet, or data format is incorrect.</p>`;
-             } else {
-                 // Check if any mapData IDs actually matched an SVG element ID
-                 const matchedIds = Array.from(interactiveElements).filter(el => this.mapData[el.id]).length;
-                 if (matchedIds > 0) {
-                    this.descriptionElement.innerHTML = `<p style="color: green;">Map loaded successfully! Found ${matchedIds} regions with data. Click on a region to see details.</p>`;
-                 } else if (Object.keys(this.mapData).length > 0) {
-                    this.descriptionElement.innerHTML = `
-                        <p style="color: red;">Map data loaded, but no IDs in the data matched IDs found in the SVG.</p>
-                        <details>
-                            <summary>Debug Information</summary>
-                            <p><strong>Available SVG IDs:</strong> ${Array.from(interactiveElements).map(el => el.id).join(', ')}</p>
-                            <p><strong>Expected IDs from data:</strong> ${Object.keys(this.mapData).join(', ')}</p>
-                        </details>`;
-                 }
-             }
-        }
+        this._initViewport(rootSvg);
+        this._refreshFills();
+        this._updateStatus();
+        this._renderValidationPanel();
+        this._updateRegionAccessibility();
+        this._renderDataTable();
+        this._initLayers(rootSvg);
     }
 
-    _displayChartForId(id) {
+    // Click, Enter or Space on a region; the same modifier keys work from the keyboard
+    _activateRegion(id, event) {
         const regionData = this.mapData[id];
-        if (!regionData) {
-            console.warn(`InteractiveMapLibrary: No data found for ID "${id}" to display chart.`);
-            if (this.chartInstance) {
-                this.chartInstance.destroy();
-                this.chartInstance = null;
-            }
-            if(this.chartCanvas) {
-                this.chartCanvas.getContext('2d').clearRect(0, 0, this.chartCanvas.width, this.chartCanvas.height);
-            }
-            if (this.legendElement) this.legendElement.innerHTML = "";
-            return;
+        this._emit('regionclick', { id, data: regionData || null, originalEvent: event });
+        if (!regionData) return;
+        // Ctrl-click (Cmd-click on a Mac) pins a region for comparison, shift-click adds or removes it from a
+        // multi-selection. Not Alt: many Linux desktops take Alt-drag and Alt-click for moving windows.
+        if (event.ctrlKey || event.metaKey) {
+            this.togglePin(id);
+        } else if (event.shiftKey) {
+            this.toggleSelection(id);
+        } else {
+            this.select(id);
         }
+    }
 
-        if (this.chartInstance) {
-            this.chartInstance.destroy();
+    _showTooltip(id, pageX, pageY) {
+        const regionData = this.mapData[id];
+        this.tooltipElement.style.display = 'block';
+        if (regionData) {
+            const nameToShow = regionData.displayName || id;
+            this._setContent(this.tooltipElement, this.config.tooltipTemplate
+                ? this.config.tooltipTemplate(regionData, id, this)
+                : this._buildTooltipContent(nameToShow, regionData));
+        } else {
+            this.tooltipElement.textContent = this.t('regionNoData', { name: id });
         }
+        this.tooltipElement.style.left = `${pageX + 15}px`;
+        this.tooltipElement.style.top = `${pageY + 10}px`;
+    }
 
-        const ctx = this.chartCanvas.getContext('2d');
-        this.chartInstance = new Chart(ctx, {
+    // Accessible names and pressed state of the region buttons
+    _updateRegionAccessibility() {
+        this.regionElements.forEach(element => {
+            const regionData = this.mapData[element.id];
+            element.setAttribute('aria-label', regionData ? regionData.displayName || element.id : this.t('regionNoData', { name: element.id }));
+            element.setAttribute('aria-pressed', String(this.selection.includes(element.id)));
+        });
+    }
+
+    /**
+     * Finds the region next to `id` in the direction of an arrow key: the closest region center
+     * within a 60° cone either side of that direction, preferring ones straight ahead.
+     */
+    _adjacentRegion(id, key) {
+        const direction = { ArrowRight: [1, 0], ArrowLeft: [-1, 0], ArrowDown: [0, 1], ArrowUp: [0, -1] }[key];
+        const centers = this._getRegionCenters();
+        const from = centers[id];
+        if (!direction || !from) return null;
+
+        let bestId = null;
+        let bestScore = Infinity;
+        Object.keys(centers).forEach(otherId => {
+            if (otherId === id) return;
+            const dx = centers[otherId].x - from.x;
+            const dy = centers[otherId].y - from.y;
+            const along = dx * direction[0] + dy * direction[1];
+            const across = Math.abs(dx * direction[1] - dy * direction[0]);
+            if (along <= 0 || across > along * Math.tan(Math.PI / 3)) return;
+            const score = along + 2 * across;
+            if (score < bestScore) {
+                bestScore = score;
+                bestId = otherId;
+            }
+        });
+        return bestId;
+    }
+
+    _getRegionCenters() {
+        if (this.regionCenters) return this.regionCenters;
+        const centers = {};
+        let measured = false;
+        this.regionElements.forEach(element => {
+            const box = element.getBBox();
+            if (box.width > 0 || box.height > 0) measured = true;
+            centers[element.id] = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+        });
+        // A hidden map measures as all zeros; try again on the next key press
+        if (measured) this.regionCenters = centers;
+        return centers;
+    }
+
+    // :focus-visible tells keyboard focus from pointer focus; browsers without it get the keyboard behaviour
+    _isKeyboardFocus(element) {
+        try {
+            return element.matches(':focus-visible');
+        } catch (error) {
+            return true;
+        }
+    }
+
+    // Pans (without zooming) when keyboard focus moves to a region outside the visible area
+    _scrollRegionIntoView(id) {
+        const center = this._getRegionCenters()[id];
+        if (!center || !this.baseViewBox) return;
+        const halfWidth = this.baseViewBox.width / this.view.scale / 2;
+        const halfHeight = this.baseViewBox.height / this.view.scale / 2;
+        if (Math.abs(center.x - this.view.x) > halfWidth * 0.9 || Math.abs(center.y - this.view.y) > halfHeight * 0.9) {
+            this.setView(this.view.scale, center.x, center.y);
+        }
+    }
+
+    _getDataTableElement() {
+        if (this.dataTableElement) return this.dataTableElement;
+
+        let element = this.config.dataTableElementId
+            ? document.getElementById(this.config.dataTableElementId)
+            : null;
+        if (!element && this.mapElement && this.mapElement.parentNode) {
+            // No element configured: keep the table for screen readers only
+            element = document.createElement('div');
+            element.className = 'interactive-map-data-table';
+            element.style.position = 'absolute';
+            element.style.width = '1px';
+            element.style.height = '1px';
+            element.style.overflow = 'hidden';
+            element.style.clip = 'rect(0 0 0 0)';
+            element.style.clipPath = 'inset(50%)';
+            element.style.whiteSpace = 'nowrap';
+            this.mapElement.parentNode.appendChild(element);
+        }
+        this.dataTableElement = element;
+        return element;
+    }
+
+    // Table alternative to the map: one row per region with every metric, in name order
+    _renderDataTable() {
+        const container = this._getDataTableElement();
+        if (!container) return;
+
+        const escape = InteractiveMapLibrary.escapeHtml;
+        const ids = Object.keys(this.mapData).sort((a, b) => (this.mapData[a].displayName || a).localeCompare(this.mapData[b].displayName || b));
+        const caption = `${this.t('dataTableCaption')}${this.currentPeriod !== null ? ` (${this.currentPeriod})` : ''}`;
+        container.innerHTML = `
+            <table>
+                <caption>${escape(caption)}</caption>
+                <thead>
+                    <tr><th scope="col">${escape(this.t('gnDivision'))}</th>${this.metrics.map(metric => `<th scope="col">${escape(metric.unit ? `${metric.label} (${metric.unit})` : metric.label)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${ids.map(id => `<tr><th scope="row">${escape(this.mapData[id].displayName || id)}</th>${this.metrics.map(metric => `<td>${escape(this._formatMetricValue(metric, this.mapData[id].values[metric.key]))}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    /**
+     * Zooms and pans so the region with the given id fills the view.
+     * @param {string} id Region id.
+     * @param {object} [options] `{ padding: 0.2, animate: true }`.
+     */
+    zoomTo(id, options = {}) {
+        const element = this.regionElements.find(el => el.id === id);
+        if (!element || !this.baseViewBox) {
+            console.warn(`InteractiveMapLibrary: Cannot zoom to "${id}", region not found.`);
+            return;
+        }
+        const box = element.getBBox();
+        const padding = options.padding !== undefined ? options.padding : 0.2;
+        const scale = Math.min(
+            this.baseViewBox.width / (box.width * (1 + padding) || 1),
+            this.baseViewBox.height / (box.height * (1 + padding) || 1)
+        );
+        this.setView(scale, box.x + box.width / 2, box.y + box.height / 2, options);
+    }
+
+    /** Shows the whole map. */
+    fitAll(options = {}) {
+        if (!this.baseViewBox) return;
+        this.setView(1, this.baseViewBox.x + this.baseViewBox.width / 2, this.baseViewBox.y + this.baseViewBox.height / 2, options);
+    }
+
+    /**
+     * Sets the view. The values are clamped to `minZoom`/`maxZoom` and the map bounds.
+     * @param {number} scale Zoom factor, 1 shows the whole map.
+     * @param {number} x View center in SVG units.
+     * @param {number} y View center in SVG units.
+     * @param {object} [options] `{ animate: true }`.
+     */
+    setView(scale, x, y, options = {}) {
+        if (!this.baseViewBox) return;
+        const target = this._clampView({ scale, x, y });
+        const animate = options.animate !== false && this.config.animationDuration > 0 && !this._prefersReducedMotion();
+        if (animate) {
+            this._animateView(target);
+        } else {
+            this._stopViewAnimation();
+            this.view = target;
+            this._applyView();
+        }
+    }
+
+    zoomIn(factor = 1.5) {
+        if (!this.baseViewBox) return;
+        this.setView(this.view.scale * factor, this.view.x, this.view.y);
+    }
+
+    zoomOut(factor = 1.5) {
+        if (!this.baseViewBox) return;
+        this.setView(this.view.scale / factor, this.view.x, this.view.y);
+    }
+
+    /** Returns the current view as `{ scale, x, y }`. */
+    getView() {
+        return { ...this.view };
+    }
+
+    _initViewport(rootSvg) {
+        const [x, y, width, height] = (rootSvg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+        let viewBox = width > 0 && height > 0 ? { x, y, width, height } : null;
+        if (!viewBox) {
+            // No viewBox in the file: derive one from the drawn content
+            const box = rootSvg.getBBox();
+            rootSvg.setAttribute('viewBox', `${box.x} ${box.y} ${box.width} ${box.height}`);
+            viewBox = box;
+        }
+        this.viewportSvg = rootSvg;
+        this.baseViewBox = { x: viewBox.x, y: viewBox.y, width: viewBox.width, height: viewBox.height };
+        this.view = { scale: 1, x: viewBox.x + viewBox.width / 2, y: viewBox.y + viewBox.height / 2 };
+
+        rootSvg.style.touchAction = 'none'; // Gestures are handled below, not by the browser
+        if (!rootSvg.hasAttribute('tabindex')) rootSvg.setAttribute('tabindex', '0');
+
+        this._setupPointerGestures(rootSvg);
+        this._setupKeyboardNavigation(rootSvg);
+        this._applyView();
+    }
+
+    // Mouse drag, touch drag and two-finger pinch all go through pointer events
+    _setupPointerGestures(rootSvg) {
+        // Listen on the SVG's own window so maps inside an <object> work too
+        const ownerWindow = rootSvg.ownerDocument.defaultView || window;
+        const pointers = new Map();
+        let gesture = null;
+        let suppressClick = false;
+
+        const pinchState = () => {
+            const [a, b] = Array.from(pointers.values());
+            return {
+                distance: Math.hypot(a.x - b.x, a.y - b.y),
+                center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+            };
+        };
+        const startGesture = () => {
+            this._stopViewAnimation();
+            gesture = { view: { ...this.view }, moved: false };
+            if (pointers.size === 1) {
+                gesture.start = Array.from(pointers.values())[0];
+            } else if (pointers.size === 2) {
+                gesture.pinch = pinchState();
+                gesture.anchor = this._clientToSvgPoint(gesture.pinch.center.x, gesture.pinch.center.y);
+            }
+        };
+
+        rootSvg.addEventListener('pointerdown', (event) => {
+            if (event.pointerType === 'mouse' && event.button !== 0) return;
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            suppressClick = false;
+            startGesture();
+            rootSvg.style.cursor = 'grabbing';
+        });
+
+        ownerWindow.addEventListener('pointermove', (event) => {
+            if (!pointers.has(event.pointerId) || !gesture) return;
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+            if (pointers.size === 1 && gesture.start) {
+                const dx = event.clientX - gesture.start.x;
+                const dy = event.clientY - gesture.start.y;
+                if (!gesture.moved && Math.hypot(dx, dy) < 4) return; // Small jitter is still a click
+                gesture.moved = true;
+                const unitsPerPixel = this._unitsPerPixel(gesture.view.scale);
+                this.view = this._clampView({
+                    scale: gesture.view.scale,
+                    x: gesture.view.x - dx * unitsPerPixel,
+                    y: gesture.view.y - dy * unitsPerPixel
+                });
+                this._applyView();
+            } else if (pointers.size === 2 && gesture.pinch) {
+                gesture.moved = true;
+                const current = pinchState();
+                const scale = gesture.view.scale * (current.distance / (gesture.pinch.distance || 1));
+                this._zoomAround(gesture.anchor, scale, gesture.view, current.center, gesture.pinch.center);
+            }
+        });
+
+        const endPointer = (event) => {
+            if (!pointers.has(event.pointerId)) return;
+            pointers.delete(event.pointerId);
+            if (gesture && gesture.moved) suppressClick = true;
+            if (pointers.size > 0) {
+                startGesture(); // Lifting one finger of a pinch continues as a pan
+            } else {
+                gesture = null;
+                rootSvg.style.cursor = '';
+            }
+        };
+        ownerWindow.addEventListener('pointerup', endPointer);
+        ownerWindow.addEventListener('pointercancel', endPointer);
+
+        // A drag that ends on a region must not select it
+        rootSvg.addEventListener('click', (event) => {
+            if (suppressClick) {
+                event.stopPropagation();
+                suppressClick = false;
+            }
+        }, true);
+
+        rootSvg.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            this._stopViewAnimation();
+            const anchor = this._clientToSvgPoint(event.clientX, event.clientY);
+            const scale = this.view.scale * (event.deltaY > 0 ? 0.9 : 1.1);
+            this._zoomAround(anchor, scale, this.view);
+        }, { passive: false });
+    }
+
+    _setupKeyboardNavigation(rootSvg) {
+        rootSvg.addEventListener('keydown', (event) => {
+            const step = 0.1; // Fraction of the visible area per key press
+            const viewWidth = this.baseViewBox.width / this.view.scale;
+            const viewHeight = this.baseViewBox.height / this.view.scale;
+            const pan = {
+                ArrowLeft: [-viewWidth * step, 0],
+                ArrowRight: [viewWidth * step, 0],
+                ArrowUp: [0, -viewHeight * step],
+                ArrowDown: [0, viewHeight * step]
+            }[event.key];
+
+            if (pan) {
+                this.setView(this.view.scale, this.view.x + pan[0], this.view.y + pan[1], { animate: false });
+            } else if (event.key === '+' || event.key === '=') {
+                this.zoomIn();
+            } else if (event.key === '-' || event.key === '_') {
+                this.zoomOut();
+            } else if (event.key === '0' || event.key === 'Home') {
+                this.fitAll();
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+    }
+
+    // Zooms to `scale` keeping `anchor` (SVG units) under the same screen point.
+    // For pinches the screen point itself moves from `fromClient` to `toClient`.
+    _zoomAround(anchor, scale, fromView, toClient, fromClient) {
+        const clamped = Math.max(this.config.minZoom, Math.min(this.config.maxZoom, scale));
+        const ratio = fromView.scale / clamped;
+        let x = anchor.x + (fromView.x - anchor.x) * ratio;
+        let y = anchor.y + (fromView.y - anchor.y) * ratio;
+        if (toClient && fromClient) {
+            const unitsPerPixel = this._unitsPerPixel(clamped);
+            x -= (toClient.x - fromClient.x) * unitsPerPixel;
+            y -= (toClient.y - fromClient.y) * unitsPerPixel;
+        }
+        this.view = this._clampView({ scale: clamped, x, y });
+        this._applyView();
+    }
+
+    _clampView(view) {
+        const base = this.baseViewBox;
+        const scale = Math.max(this.config.minZoom, Math.min(this.config.maxZoom, view.scale || 1));
+        const halfWidth = base.width / scale / 2;
+        const halfHeight = base.height / scale / 2;
+        // Keep the view inside the map; when zoomed out past the map, keep it centered
+        const clampAxis = (value, start, size, half) => (half * 2 >= size)
+            ? start + size / 2
+            : Math.max(start + half, Math.min(start + size - half, value));
+        return {
+            scale,
+            x: clampAxis(view.x, base.x, base.width, halfWidth),
+            y: clampAxis(view.y, base.y, base.height, halfHeight)
+        };
+    }
+
+    _applyView() {
+        if (!this.viewportSvg) return;
+        const width = this.baseViewBox.width / this.view.scale;
+        const height = this.baseViewBox.height / this.view.scale;
+        this.viewportSvg.setAttribute('viewBox', `${this.view.x - width / 2} ${this.view.y - height / 2} ${width} ${height}`);
+        this._scaleLayers();
+    }
+
+    _animateView(target) {
+        this._stopViewAnimation();
+        const from = { ...this.view };
+        const duration = this.config.animationDuration;
+        const startTime = performance.now();
+
+        const step = (now) => {
+            const t = Math.min(1, (now - startTime) / duration);
+            const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2; // easeInOutQuad
+            // Interpolate zoom geometrically so zooming in and out feel equally fast
+            this.view = {
+                scale: from.scale * Math.pow(target.scale / from.scale, eased),
+                x: from.x + (target.x - from.x) * eased,
+                y: from.y + (target.y - from.y) * eased
+            };
+            this._applyView();
+            this.viewAnimationFrame = t < 1 ? requestAnimationFrame(step) : null;
+        };
+        this.viewAnimationFrame = requestAnimationFrame(step);
+    }
+
+    _stopViewAnimation() {
+        if (this.viewAnimationFrame) {
+            cancelAnimationFrame(this.viewAnimationFrame);
+            this.viewAnimationFrame = null;
+        }
+    }
+
+    _prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    // SVG units per screen pixel at the given zoom (viewBox uses the default "meet" fit)
+    _unitsPerPixel(scale) {
+        const rect = this.viewportSvg.getBoundingClientRect();
+        const width = this.baseViewBox.width / scale;
+        const height = this.baseViewBox.height / scale;
+        return Math.max(width / (rect.width || 1), height / (rect.height || 1));
+    }
+
+    _clientToSvgPoint(clientX, clientY) {
+        const rect = this.viewportSvg.getBoundingClientRect();
+        const unitsPerPixel = this._unitsPerPixel(this.view.scale);
+        return {
+            x: this.view.x + (clientX - (rect.left + rect.width / 2)) * unitsPerPixel,
+            y: this.view.y + (clientY - (rect.top + rect.height / 2)) * unitsPerPixel
+        };
+    }
+
+    /**
+     * Registers an event handler. Events:
+     * - 'regionclick': `{ id, data, originalEvent }`, also for regions without data (`data` is null).
+     * - 'regionhover': `{ id, data, originalEvent }` when the pointer enters a region, `id` is null when it leaves.
+     * - 'selectionchange': `{ ids, aggregate }` after select(), toggleSelection() or clearSelection().
+     * - 'dataloaded': `{ mapData, metrics }` after data is loaded or replaced with setData().
+     * - 'periodchange': `{ period }` after setPeriod(), the slider or playback shows another period.
+     * - 'error': `{ error, stage }` when loading the map or its data fails. `stage` is 'init', 'data' or
+     *   'refresh' (a background refresh failed and the current data is kept).
+     * @returns {InteractiveMapLibrary} This instance, for chaining.
+     */
+    on(eventName, handler) {
+        if (typeof handler !== 'function') {
+            console.error(`InteractiveMapLibrary: Handler for "${eventName}" must be a function.`);
+            return this;
+        }
+        (this.listeners[eventName] = this.listeners[eventName] || []).push(handler);
+        return this;
+    }
+
+    /** Removes a handler added with on(). */
+    off(eventName, handler) {
+        if (!this.listeners[eventName]) return this;
+        this.listeners[eventName] = this.listeners[eventName].filter(existing => existing !== handler);
+        return this;
+    }
+
+    _emit(eventName, payload) {
+        (this.listeners[eventName] || []).slice().forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                // A failing host handler must not break the map
+                console.error(`InteractiveMapLibrary: Error in "${eventName}" handler.`, error);
+            }
+        });
+    }
+
+    /**
+     * Returns a message from the current locale's catalog, with `{name}` placeholders filled in.
+     * Numbers are formatted for the locale, and messages with `one`/`other` forms pick one by `params.count`.
+     * Handy in tooltip and description templates.
+     * @param {string} key Message key, see InteractiveMapLibrary.MESSAGES.en.
+     * @param {object} [params] Placeholder values.
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        const lookup = (locale) => {
+            const messages = this._getMessages(locale);
+            return messages ? messages[key] : undefined;
+        };
+        let message = lookup(this.config.locale);
+        if (message === undefined) message = lookup('en');
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(this._numberLocale()).select(Number(params.count));
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return typeof value === 'number' ? this._formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * Switches the library's language: region names, metric labels, messages and number formats.
+     * @param {string} locale 'en', 'si', 'ta' or another key of InteractiveMapLibrary.MESSAGES.
+     */
+    setLocale(locale) {
+        if (!this._getMessages(locale)) {
+            console.warn(`InteractiveMapLibrary: No messages for locale "${locale}".`);
+            return;
+        }
+        if (locale === this.config.locale) return;
+        this.config.locale = locale;
+
+        const regionMaps = this.periods.length > 0 ? Object.values(this.periodData) : [this.mapData];
+        regionMaps.forEach(mapData => Object.keys(mapData).forEach(id => InteractiveMapLibrary.core.localizeRegion(mapData[id], id, this.config.locale)));
+        this.metrics.forEach(metric => {
+            if (metric.labels) metric.label = this._localizedLabel(metric.labels);
+        });
+        if (this.labelsMap && this.viewportSvg) this.viewportSvg.setAttribute('aria-label', this.t('mapLabel'));
+
+        this._renderLanguageSwitcher();
+        this._renderSearchPanel();
+        this._renderPeriodControl();
+        this._renderFreshness();
+        this._renderChoroplethLegend();
+        this._renderLayerControl();
+        if (this.regionElements.length > 0) {
+            this._renderValidationPanel();
+            this._renderDataTable();
+            this._renderRegionLayers();
+            if (this.selection.length > 0 || this.pinned.length > 0) {
+                this._renderSelection();
+            } else {
+                this._renderComparePanel();
+                this._updateRegionAccessibility();
+                this._updateStatus();
+            }
+        } else {
+            this._renderComparePanel();
+        }
+        this._emit('localechange', { locale });
+    }
+
+    getLocale() {
+        return this.config.locale;
+    }
+
+    // The built-in catalog for a locale with any `config.messages` overrides on top, or null if neither exists
+    _getMessages(locale) {
+        const builtIn = InteractiveMapLibrary.MESSAGES[locale];
+        const overrides = this.config.messages && this.config.messages[locale];
+        if (!builtIn && !overrides) return null;
+        return { ...(builtIn || {}), ...(overrides || {}) };
+    }
+
+    // BCP 47 tag for Intl number and date formatting, e.g. 'si-LK'
+    _numberLocale() {
+        return this.t('numberLocale');
+    }
+
+    _formatNumber(value, options = {}) {
+        return Number(value).toLocaleString(this._numberLocale(), options);
+    }
+
+    _renderLanguageSwitcher() {
+        const container = this.config.languageSwitcherElementId ? document.getElementById(this.config.languageSwitcherElementId) : null;
+        if (!container) return;
+
+        const locales = Object.keys({ ...InteractiveMapLibrary.MESSAGES, ...(this.config.messages || {}) });
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', this.t('language'));
+        locales.forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = this._getMessages(locale).languageName || locale;
+            option.selected = locale === this.config.locale;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => this.setLocale(select.value));
+
+        container.innerHTML = '';
+        container.appendChild(select);
+    }
+
+    /**
+     * Selects a region, showing its description and chart.
+     * @param {string} id Region id.
+     * @param {object} [options] `{ additive: false, zoom: config.zoomOnClick }`. With `additive`
+     *   the region is added to the current selection instead of replacing it.
+     */
+    select(id, options = {}) {
+        if (!this.mapData[id]) {
+            console.warn(`InteractiveMapLibrary: Cannot select "${id}", no data for this region.`);
+            return;
+        }
+        if (options.additive) {
+            if (!this.selection.includes(id)) this.selection.push(id);
+        } else {
+            this.selection = [id];
+        }
+        this._renderSelection();
+        const zoom = options.zoom !== undefined ? options.zoom : this.config.zoomOnClick;
+        if (zoom && this.selection.length === 1) this.zoomTo(id);
+        this._emitSelectionChange();
+    }
+
+    /** Adds the region to the selection, or removes it if already selected. */
+    toggleSelection(id) {
+        if (this.selection.includes(id)) {
+            this.selection = this.selection.filter(selectedId => selectedId !== id);
+            this._renderSelection();
+            this._emitSelectionChange();
+        } else {
+            this.select(id, { additive: true, zoom: false });
+        }
+    }
+
+    clearSelection() {
+        if (this.selection.length === 0) return;
+        this.selection = [];
+        this._renderSelection();
+        this._emitSelectionChange();
+    }
+
+    /** Returns the selected region ids, in selection order. */
+    getSelection() {
+        return this.selection.slice();
+    }
+
+    /**
+     * Combines metric values across regions (the current selection by default).
+     * @param {string[]} [ids] Region ids.
+     * @returns {object} `{ count, values: { [metricKey]: number|null } }`, using each metric's `aggregate` rule.
+     */
+    getAggregate(ids = this.selection) {
+        const regions = ids.map(id => this.mapData[id]).filter(Boolean);
+        const values = {};
+        this.metrics.forEach(metric => {
+            const present = regions
+                .map(regionData => regionData.values[metric.key])
+                .filter(value => value !== null && value !== undefined);
+            if (present.length === 0) {
+                values[metric.key] = null;
+                return;
+            }
+            const sum = present.reduce((total, value) => total + value, 0);
+            values[metric.key] = metric.aggregate === 'mean' ? sum / present.length : sum;
+        });
+        return { count: regions.length, values };
+    }
+
+    _emitSelectionChange() {
+        this._emit('selectionchange', {
+            ids: this.getSelection(),
+            aggregate: this.selection.length > 0 ? this.getAggregate() : null
+        });
+    }
+
+    _renderSelection() {
+        // Reset stroke width for all interactive elements, then highlight the selected ones
+        this.regionElements.forEach(el => {
+            const pinned = this.pinned.includes(el.id);
+            el.style.strokeWidth = pinned ? "1.5" : "0.5";
+            el.style.stroke = "black";
+            el.style.strokeDasharray = pinned ? "3 2" : "";
+        });
+        this._renderComparePanel();
+        this._updateRegionAccessibility();
+        this.selection.forEach(id => {
+            const element = this.regionElements.find(el => el.id === id);
+            if (element) {
+                element.style.strokeWidth = "2";
+                element.style.stroke = this.mapData[id].color;
+            }
+        });
+
+        if (this.selection.length === 0) {
+            this._displayChartForId(null);
+            this._updateStatus();
+            return;
+        }
+
+        if (this.selection.length === 1) {
+            const id = this.selection[0];
+            const regionData = this.mapData[id];
+            this._displayChartForId(id);
+            if (this.descriptionElement) {
+                this._setContent(this.descriptionElement, this.config.descriptionTemplate
+                    ? this.config.descriptionTemplate(regionData, id, this)
+                    : `<h3>${InteractiveMapLibrary.escapeHtml(regionData.displayName || id)}</h3>${this._renderDescription(regionData.description || this.t('detailsFor', { name: regionData.displayName || id }))}`);
+            }
+            return;
+        }
+
+        const names = this.selection.map(id => this.mapData[id].displayName || id);
+        const aggregate = this.getAggregate();
+        const summaryData = {
+            displayName: this.t('selectedRegions', { count: names.length }),
+            color: this.mapData[this.selection[0]].color,
+            values: aggregate.values
+        };
+        if (this.pinned.length > 0) {
+            this._displayComparisonChart();
+        } else {
+            this._displayChart(summaryData, 'selection');
+        }
+        if (this.descriptionElement) {
+            this.descriptionElement.innerHTML = `<h3>${InteractiveMapLibrary.escapeHtml(summaryData.displayName)}</h3><p>${names.map(name => InteractiveMapLibrary.escapeHtml(name)).join(', ')}</p><p><small>${InteractiveMapLibrary.escapeHtml(this.t('shiftClickHint'))}</small></p>`;
+        }
+    }
+
+    // Update description element with status
+    _updateStatus() {
+        const escape = InteractiveMapLibrary.escapeHtml;
+        if (this.descriptionElement) {
+             const interactiveElements = this.regionElements;
+             if (interactiveElements.length === 0) {
+                this.descriptionElement.innerHTML = `<p style="color: orange;">${escape(this.t('statusNoShapes'))}</p>`;
+             } else if (Object.keys(this.mapData).length === 0) {
+                this.descriptionElement.innerHTML = `<p style="color: red;">${escape(this.t('statusNoData'))}</p>`;
+             } else {
+                 // Check if any mapData IDs actually matched an SVG element ID
+                 const matchedIds = interactiveElements.filter(el => this.mapData[el.id]).length;
+                 const { unmatchedIds } = this.getValidationReport();
+                 if (matchedIds > 0) {
+                    this.descriptionElement.innerHTML = `<p style="color: green;">${escape(this.t('statusLoaded', { count: matchedIds }))}</p>`
+                        + (unmatchedIds.length > 0 ? `<p style="color: orange;">${escape(this.t('statusUnmatched', { count: unmatchedIds.length }))}</p>` : '');
+                 } else if (Object.keys(this.mapData).length > 0) {
+                    this.descriptionElement.innerHTML = `
+                        <p style="color: red;">${escape(this.t('statusNoMatches'))}</p>
+                        <details>
+                            <summary>${escape(this.t('unmatchedIds', { count: unmatchedIds.length }))}</summary>
+                            <ul>${unmatchedIds.slice(0, 20).map(item => `<li>${escape(item.id)}${item.suggestions.length > 0 ? ` → ${escape(item.suggestions.join(', '))}?` : ''}</li>`).join('')}</ul>
+                        </details>`;
+                 }
+             }
+        }
+    }
+
+    /**
+     * Pins a region for comparison. While any region is pinned the chart compares all pinned
+     * regions across every metric.
+     * @param {string} id Region id.
+     */
+    pin(id) {
+        if (!this.mapData[id]) {
+            console.warn(`InteractiveMapLibrary: Cannot pin "${id}", no data for this region.`);
+            return;
+        }
+        if (this.pinned.includes(id)) return;
+        this.pinned.push(id);
+        this._pinsChanged();
+    }
+
+    unpin(id) {
+        if (!this.pinned.includes(id)) return;
+        this.pinned = this.pinned.filter(pinnedId => pinnedId !== id);
+        this._pinsChanged();
+    }
+
+    /** Pins the region, or unpins it if already pinned. */
+    togglePin(id) {
+        if (this.pinned.includes(id)) {
+            this.unpin(id);
+        } else {
+            this.pin(id);
+        }
+    }
+
+    clearPins() {
+        if (this.pinned.length === 0) return;
+        this.pinned = [];
+        this._pinsChanged();
+    }
+
+    /** Returns the pinned region ids, in pin order. */
+    getPinned() {
+        return this.pinned.slice();
+    }
+
+    /**
+     * Switches the comparison chart between a grouped bar chart and a radar chart.
+     * @param {string} type 'bar' or 'radar'.
+     */
+    setCompareChartType(type) {
+        if (type !== 'bar' && type !== 'radar') {
+            console.warn(`InteractiveMapLibrary: Unknown comparison chart type "${type}".`);
+            return;
+        }
+        this.config.compareChartType = type;
+        if (this.pinned.length > 0) this._renderSelection();
+    }
+
+    /**
+     * Compares regions (the pinned ones by default) against every division in the current period.
+     * Ranks count from 1 for the highest value; tied values share a rank.
+     * @param {string[]} [ids] Region ids.
+     * @returns {object} `{ average: { [metricKey]: number|null }, rankedCount: { [metricKey]: number },
+     *   regions: [{ id, displayName, values, ranks, differences }] }`. Differences are from the average.
+     */
+    getComparison(ids = this.pinned) {
+        const average = {};
+        const rankedCount = {};
+        const sortedValues = {};
+        this.metrics.forEach(metric => {
+            const present = Object.values(this.mapData)
+                .map(regionData => regionData.values[metric.key])
+                .filter(value => value !== null && value !== undefined);
+            sortedValues[metric.key] = present.slice().sort((a, b) => b - a);
+            rankedCount[metric.key] = present.length;
+            average[metric.key] = present.length > 0 ? present.reduce((total, value) => total + value, 0) / present.length : null;
+        });
+
+        const regions = ids.map(id => {
+            const regionData = this.mapData[id];
+            const values = {};
+            const ranks = {};
+            const differences = {};
+            this.metrics.forEach(metric => {
+                const value = regionData ? regionData.values[metric.key] : null;
+                const present = value !== null && value !== undefined;
+                values[metric.key] = present ? value : null;
+                ranks[metric.key] = present ? sortedValues[metric.key].indexOf(value) + 1 : null;
+                differences[metric.key] = present && average[metric.key] !== null ? value - average[metric.key] : null;
+            });
+            return { id, displayName: regionData ? regionData.displayName || id : id, values, ranks, differences };
+        });
+        return { average, rankedCount, regions };
+    }
+
+    _pinsChanged() {
+        this._renderSelection();
+        this._emit('comparechange', { ids: this.getPinned(), comparison: this.getComparison() });
+    }
+
+    // Pin buttons, chart type switch and the sortable comparison table
+    _renderComparePanel() {
+        const container = this.config.compareElementId ? document.getElementById(this.config.compareElementId) : null;
+        if (!container) return;
+
+        const escape = InteractiveMapLibrary.escapeHtml;
+        const unpinnedSelection = this.selection.filter(id => !this.pinned.includes(id));
+        const buttonStyle = 'padding: 4px 8px; margin: 0 4px 6px 0; border: 1px solid #ccc; border-radius: 4px; background: #fff; cursor: pointer;';
+        const controls = `
+            <div>
+                <button type="button" data-action="pin" style="${buttonStyle}"${unpinnedSelection.length === 0 ? ' disabled' : ''}>${escape(this.t('pinSelection'))}</button>
+                <button type="button" data-action="clear" style="${buttonStyle}"${this.pinned.length === 0 ? ' disabled' : ''}>${escape(this.t('clearPins'))}</button>
+                <label>${escape(this.t('chart'))}
+                    <select data-action="chart-type">
+                        <option value="bar"${this.config.compareChartType === 'bar' ? ' selected' : ''}>${escape(this.t('groupedBars'))}</option>
+                        <option value="radar"${this.config.compareChartType === 'radar' ? ' selected' : ''}>${escape(this.t('radar'))}</option>
+                    </select>
+                </label>
+            </div>`;
+
+        if (this.pinned.length === 0) {
+            container.innerHTML = `${controls}<p><small>${escape(this.t('compareHint'))}</small></p>`;
+        } else {
+            const comparison = this.getComparison();
+            const { column, direction } = this.compareSort;
+            if (column) {
+                const [key, field] = column.split(':');
+                const fieldValues = { value: 'values', rank: 'ranks', difference: 'differences' }[field];
+                const sortValue = region => column === 'name' ? region.displayName : region[fieldValues][key];
+                comparison.regions.sort((a, b) => {
+                    const first = sortValue(a);
+                    const second = sortValue(b);
+                    // Regions without a value go last in either direction
+                    if (first === null) return second === null ? 0 : 1;
+                    if (second === null) return -1;
+                    if (column === 'name') return first.localeCompare(second, this._numberLocale()) * direction;
+                    return (first < second ? -1 : first > second ? 1 : 0) * direction;
+                });
+            }
+
+            const header = (label, sortColumn, attributes = '') => {
+                const sorted = column === sortColumn;
+                const ariaSort = sorted ? (direction === 1 ? 'ascending' : 'descending') : 'none';
+                const arrow = sorted ? (direction === 1 ? ' ▲' : ' ▼') : '';
+                return `<th scope="col" aria-sort="${ariaSort}"${attributes} style="padding: 4px 6px; border-bottom: 1px solid #ccc; text-align: left; white-space: nowrap;">`
+                    + `<button type="button" data-sort="${escape(sortColumn)}" style="border: none; background: none; padding: 0; font: inherit; font-weight: bold; cursor: pointer;">${escape(label)}${arrow}</button></th>`;
+            };
+            const cell = (content, align = 'right') => `<td style="padding: 4px 6px; text-align: ${align}; white-space: nowrap;">${content}</td>`;
+            const signed = (metric, difference) => difference === null ? ''
+                : `${difference > 0 ? '+' : difference < 0 ? '−' : '±'}${escape(this._formatMetricValue(metric, Math.abs(difference)))}`;
+
+            const metricHeaders = this.metrics.map(metric => `<th colspan="3" scope="colgroup" style="padding: 4px 6px; text-align: center;">${escape(metric.label)}</th>`).join('');
+            const fieldHeaders = this.metrics.map(metric => header(this.t('value'), `${metric.key}:value`) + header(this.t('rank'), `${metric.key}:rank`) + header(this.t('diffFromAverage'), `${metric.key}:difference`)).join('');
+            const rows = comparison.regions.map(region => `
+                <tr>
+                    <th scope="row" style="padding: 4px 6px; text-align: left; white-space: nowrap;">
+                        ${escape(region.displayName)}
+                        <button type="button" data-unpin="${escape(region.id)}" aria-label="${escape(this.t('unpin', { name: region.displayName }))}" style="border: none; background: none; cursor: pointer; color: #888;">×</button>
+                    </th>
+                    ${this.metrics.map(metric => cell(escape(this._formatMetricValue(metric, region.values[metric.key])))
+                        + cell(region.ranks[metric.key] !== null ? `${this._formatNumber(region.ranks[metric.key])} / ${this._formatNumber(comparison.rankedCount[metric.key])}` : '')
+                        + cell(signed(metric, region.differences[metric.key]))).join('')}
+                </tr>`).join('');
+            const averageRow = `
+                <tr style="border-top: 1px solid #ccc; color: #666;">
+                    <th scope="row" style="padding: 4px 6px; text-align: left;">${escape(this.t('dsAverage'))}</th>
+                    ${this.metrics.map(metric => cell(escape(this._formatMetricValue(metric, comparison.average[metric.key]))) + cell('') + cell('')).join('')}
+                </tr>`;
+
+            container.innerHTML = `${controls}
+                <div style="overflow-x: auto;">
+                    <table style="border-collapse: collapse; font-size: 0.85em;">
+                        <caption style="text-align: left; padding-bottom: 4px;">${escape(this.t('pinnedRegions', { count: this.pinned.length }))}${this.currentPeriod !== null ? ` (${escape(this.currentPeriod)})` : ''}</caption>
+                        <thead>
+                            <tr>${header(this.t('region'), 'name', ' rowspan="2"')}${metricHeaders}</tr>
+                            <tr>${fieldHeaders}</tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                        <tfoot>${averageRow}</tfoot>
+                    </table>
+                </div>`;
+        }
+
+        container.querySelector('[data-action="pin"]').addEventListener('click', () => {
+            unpinnedSelection.forEach(id => this.pinned.push(id));
+            this._pinsChanged();
+        });
+        container.querySelector('[data-action="clear"]').addEventListener('click', () => this.clearPins());
+        container.querySelector('[data-action="chart-type"]').addEventListener('change', (event) => this.setCompareChartType(event.target.value));
+        container.querySelectorAll('[data-unpin]').forEach(button => {
+            button.addEventListener('click', () => this.unpin(button.getAttribute('data-unpin')));
+        });
+        container.querySelectorAll('[data-sort]').forEach(button => {
+            button.addEventListener('click', () => {
+                const sortColumn = button.getAttribute('data-sort');
+                // Values and differences read best largest first, ranks and names smallest first
+                const firstDirection = /:(value|difference)$/.test(sortColumn) ? -1 : 1;
+                this.compareSort = this.compareSort.column === sortColumn
+                    ? { column: sortColumn, direction: -this.compareSort.direction }
+                    : { column: sortColumn, direction: firstDirection };
+                this._renderComparePanel();
+            });
+        });
+    }
+
+    /**
+     * Switches the map to choropleth mode (or back to sheet colors with `null`) at runtime.
+     * @param {object|null} options Same shape as `config.choropleth`.
+     */
+    setChoropleth(options) {
+        this.config.choropleth = options;
+        this._applyChoropleth();
+        this._refreshFills();
+    }
+
+    _applyChoropleth() {
+        const options = this.config.choropleth;
+        if (!options || !options.metric) {
+            Object.values(this.mapData).forEach(regionData => {
+                regionData.color = regionData.sheetColor || 'lightgray';
+            });
+            this.choroplethClasses = null;
+            this._renderChoroplethLegend();
+            return;
+        }
+
+        const metric = this.metrics.find(m => m.key === options.metric);
+        if (!metric) {
+            console.warn(`InteractiveMapLibrary: Choropleth metric "${options.metric}" is not one of the loaded metrics.`);
+            this.choroplethClasses = null;
+            this._renderChoroplethLegend();
+            return;
+        }
+
+        const noDataColor = options.noDataColor || 'lightgray';
+        // With time series data, classify across every period so colors compare between years
+        const allRegions = this.periods.length > 0
+            ? this.periods.reduce((regions, period) => regions.concat(Object.values(this.periodData[period])), [])
+            : Object.values(this.mapData);
+        const values = allRegions
+            .map(regionData => regionData.values[metric.key])
+            .filter(value => value !== null && value !== undefined);
+        const breaks = InteractiveMapLibrary.core.classify(values, options.method || 'quantile', options.classes || 5);
+        const colors = InteractiveMapLibrary.core.classColors(options.ramp || 'blues', breaks, options.midpoint);
+        const counts = colors.map(() => 0);
+        let noDataCount = 0;
+
+        Object.values(this.mapData).forEach(regionData => {
+            const value = regionData.values[metric.key];
+            let fill = noDataColor;
+            if (value === null || value === undefined) {
+                noDataCount++;
+            } else {
+                const classIndex = InteractiveMapLibrary.core.classIndex(value, breaks);
+                counts[classIndex]++;
+                fill = colors[classIndex];
+            }
+            // A color typed into the sheet still wins over the computed class color
+            regionData.color = regionData.sheetColor || fill;
+        });
+
+        this.choroplethClasses = { metric, breaks, colors, counts, noDataCount, noDataColor };
+        this._renderChoroplethLegend();
+    }
+
+    _getChoroplethLegendElement() {
+        if (this.choroplethLegendElement) return this.choroplethLegendElement;
+
+        let element = this.config.choroplethLegendElementId
+            ? document.getElementById(this.config.choroplethLegendElementId)
+            : null;
+        if (!element) {
+            // No element configured: float a legend box in the bottom left of the map container
+            element = this._createFloatingPanel('interactive-map-choropleth-legend', { left: '20px', bottom: '20px' }, { padding: '8px 10px' });
+        }
+        this.choroplethLegendElement = element;
+        return element;
+    }
+
+    _renderChoroplethLegend() {
+        const classes = this.choroplethClasses;
+        if (!classes) {
+            if (this.choroplethLegendElement) {
+                this.choroplethLegendElement.innerHTML = '';
+                this.choroplethLegendElement.style.display = 'none';
+            }
+            return;
+        }
+
+        const legend = this._getChoroplethLegendElement();
+        if (!legend) return;
+        legend.innerHTML = '';
+        legend.style.display = '';
+
+        const title = document.createElement('div');
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '5px';
+        title.textContent = classes.metric.unit ? `${classes.metric.label} (${classes.metric.unit})` : classes.metric.label;
+        legend.appendChild(title);
+
+        const addItem = (color, text) => {
+            const item = this._createLegendItem(color, text, '#999');
+            item.style.marginBottom = '3px';
+            legend.appendChild(item);
+        };
+
+        const format = value => this._formatMetricValue({ ...classes.metric, unit: '' }, value);
+        classes.colors.forEach((color, index) => {
+            const from = classes.breaks[index];
+            const to = classes.breaks[index + 1] !== undefined ? classes.breaks[index + 1] : from;
+            const range = from === to ? format(from) : `${format(from)} – ${format(to)}`;
+            addItem(color, `${range} (${this._formatNumber(classes.counts[index])})`);
+        });
+        if (classes.noDataCount > 0) {
+            addItem(classes.noDataColor, this.t('noDataCount', { count: classes.noDataCount }));
+        }
+    }
+
+    // Re-applies the current region colors to the SVG shapes
+    _refreshFills() {
+        this.regionElements.forEach(element => {
+            const regionData = this.mapData[element.id];
+            element.style.fill = regionData ? regionData.color : 'lightgray';
+            const dimmed = this.filterMatches && !this.filterMatches.has(element.id);
+            element.style.fillOpacity = dimmed ? String(this.config.filteredOpacity) : '0.8';
+        });
+    }
+
+    /**
+     * Adds an overlay layer (see `config.layers`). Point layers load their data source first.
+     * @param {object} definition Layer definition.
+     * @returns {Promise<void>}
+     */
+    async addLayer(definition) {
+        if (!this.layersGroup) {
+            // Before the map has loaded: picked up by _initLayers
+            this.config.layers = (this.config.layers || []).concat([definition]);
+            return;
+        }
+        const id = definition.id || `${definition.type}-${this.layers.length + 1}`;
+        if (this.layers.some(layer => layer.id === id)) {
+            console.warn(`InteractiveMapLibrary: A layer with id "${id}" already exists.`);
+            return;
+        }
+        if (!['points', 'symbols', 'labels'].includes(definition.type)) {
+            console.warn(`InteractiveMapLibrary: Unknown layer type "${definition.type}".`);
+            return;
+        }
+
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('data-layer', id);
+        this.layersGroup.appendChild(group);
+        const layer = { id, type: definition.type, definition, group, rows: null, visible: definition.visible !== false };
+        this.layers.push(layer);
+        this._setLayerDisplay(layer);
+        this._renderLayerControl();
+
+        if (layer.type === 'points') {
+            try {
+                layer.rows = await this._fetchRows(this._normalizeSource(
+                    definition.dataSource && !Array.isArray(definition.dataSource) ? { ...definition.dataSource, withCoordinates: true } : definition.dataSource
+                ));
+            } catch (error) {
+                console.error(`InteractiveMapLibrary: Could not load layer "${id}".`, error);
+                this._emit('error', { error, stage: 'layer', layer: id });
+                layer.rows = [];
+            }
+            this._renderPointLayer(layer);
+        } else {
+            this._renderRegionLayer(layer);
+        }
+        this._scaleLayers();
+    }
+
+    removeLayer(id) {
+        const layer = this.layers.find(candidate => candidate.id === id);
+        if (!layer || layer.type === 'svg') return;
+        layer.group.remove();
+        this.layers = this.layers.filter(candidate => candidate !== layer);
+        this._renderLayerControl();
+    }
+
+    /**
+     * Shows or hides a layer.
+     * @param {string} id Layer id, or 'svgLabels' for the SVG's own name labels.
+     * @param {boolean} visible
+     */
+    setLayerVisibility(id, visible) {
+        const layer = this.layers.find(candidate => candidate.id === id);
+        if (!layer) {
+            console.warn(`InteractiveMapLibrary: Unknown layer "${id}".`);
+            return;
+        }
+        layer.visible = Boolean(visible);
+        this._setLayerDisplay(layer);
+        this._renderLayerControl();
+        this._emit('layerchange', { id, visible: layer.visible });
+    }
+
+    toggleLayer(id) {
+        const layer = this.layers.find(candidate => candidate.id === id);
+        if (layer) this.setLayerVisibility(id, !layer.visible);
+    }
+
+    /** Returns the layers in drawing order: `[{ id, type, label, visible }]`. */
+    getLayers() {
+        return this.layers.map(layer => ({ id: layer.id, type: layer.type, label: this._layerLabel(layer), visible: layer.visible }));
+    }
+
+    _initLayers(rootSvg) {
+        const layersGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        layersGroup.setAttribute('class', 'interactive-map-layers');
+        rootSvg.appendChild(layersGroup);
+        this.layersGroup = layersGroup;
+
+        // The Illustrator export's static name labels become a layer of their own
+        const names = rootSvg.querySelector('g#Names');
+        if (names) {
+            names.style.pointerEvents = 'none'; // Clicks go to the region underneath
+            this.layers.push({ id: 'svgLabels', type: 'svg', definition: {}, group: names, rows: null, visible: true });
+        }
+        (this.config.layers || []).forEach(definition => this.addLayer(definition));
+        this._renderLayerControl();
+    }
+
+    _layerLabel(layer) {
+        if (layer.type === 'svg') return this.t('mapLabels');
+        if (layer.type === 'location') return this.t('yourLocation');
+        const label = layer.definition.label;
+        if (label && typeof label === 'object') return this._localizedLabel(label);
+        return label || layer.id;
+    }
+
+    _setLayerDisplay(layer) {
+        layer.group.style.display = layer.visible ? '' : 'none';
+    }
+
+    // Redraws the layers that follow the region data, after data, period or language changes
+    _renderRegionLayers() {
+        this.layers
+            .filter(layer => layer.type === 'symbols' || layer.type === 'labels')
+            .forEach(layer => this._renderRegionLayer(layer));
+        this._scaleLayers();
+    }
+
+    _renderRegionLayer(layer) {
+        const definition = layer.definition;
+        const centers = this._getRegionCenters();
+        const svgNS = 'http://www.w3.org/2000/svg';
+        layer.group.innerHTML = '';
+        layer.group.style.pointerEvents = 'none';
+
+        if (layer.type === 'labels') {
+            const metric = definition.show && definition.show !== 'name' ? this.metrics.find(m => m.key === definition.show) : null;
+            Object.entries(this.mapData).forEach(([id, regionData]) => {
+                if (!centers[id]) return;
+                const text = document.createElementNS(svgNS, 'text');
+                text.setAttribute('x', centers[id].x);
+                text.setAttribute('y', centers[id].y);
+                text.setAttribute('text-anchor', 'middle');
+                text.setAttribute('dominant-baseline', 'central');
+                text.setAttribute('fill', definition.color || '#222');
+                text.setAttribute('stroke', '#fff'); // Halo so labels stay readable on dark fills
+                text.setAttribute('paint-order', 'stroke');
+                text.setAttribute('font-family', 'Arial, sans-serif');
+                text.textContent = metric ? this._formatMetricValue(metric, regionData.values[metric.key]) : regionData.displayName || id;
+                layer.group.appendChild(text);
+            });
+            return;
+        }
+
+        // Proportional symbols: circle area grows with the value, scaled to the largest value in any period
+        const metricKey = definition.metric;
+        const regionMaps = this.periods.length > 0 ? Object.values(this.periodData) : [this.mapData];
+        const maxValue = Math.max(0, ...regionMaps.reduce((values, mapData) => values.concat(
+            Object.values(mapData).map(regionData => regionData.values[metricKey]).filter(value => typeof value === 'number')
+        ), []));
+        if (!this.metrics.some(m => m.key === metricKey)) {
+            console.warn(`InteractiveMapLibrary: Symbol layer metric "${metricKey}" is not one of the loaded metrics.`);
+        }
+        const color = definition.color || '#d62728';
+        Object.entries(this.mapData).forEach(([id, regionData]) => {
+            const value = regionData.values[metricKey];
+            if (!centers[id] || typeof value !== 'number' || value <= 0 || maxValue <= 0) return;
+            const circle = document.createElementNS(svgNS, 'circle');
+            circle.setAttribute('cx', centers[id].x);
+            circle.setAttribute('cy', centers[id].y);
+            circle.setAttribute('fill', color);
+            circle.setAttribute('fill-opacity', '0.5');
+            circle.setAttribute('stroke', color);
+            circle.dataset.radius = String((definition.maxRadius || 18) * Math.sqrt(value / maxValue));
+            layer.group.appendChild(circle);
+        });
+    }
+
+    _renderPointLayer(layer) {
+        const definition = layer.definition;
+        const columns = {
+            x: definition.xColumn || 'x',
+            y: definition.yColumn || 'y',
+            lat: definition.latColumn || 'lat',
+            lon: definition.lonColumn || 'lon',
+            name: definition.nameColumn || 'name'
+        };
+        const categories = [];
+        let unplaced = 0;
+        layer.group.innerHTML = '';
+
+        (layer.rows || []).forEach(row => {
+            let point = null;
+            const x = InteractiveMapLibrary.core.parseNumber(row[columns.x]);
+            const y = InteractiveMapLibrary.core.parseNumber(row[columns.y]);
+            if (x !== null && y !== null) {
+                point = { x, y };
+            } else {
+                const lat = InteractiveMapLibrary.core.parseNumber(row[columns.lat]);
+                const lon = InteractiveMapLibrary.core.parseNumber(row[columns.lon]);
+                if (lat !== null && lon !== null) point = this._projectLonLat(lon, lat);
+            }
+            if (!point) {
+                unplaced++;
+                return;
+            }
+
+            const category = definition.categoryColumn ? String(row[definition.categoryColumn] || '') : '';
+            if (!categories.includes(category)) categories.push(category);
+            const color = (definition.colors && definition.colors[category]) || definition.color
+                || InteractiveMapLibrary.SERIES_COLORS[categories.indexOf(category) % InteractiveMapLibrary.SERIES_COLORS.length];
+            const name = row[columns.name] !== undefined && row[columns.name] !== null ? String(row[columns.name]) : '';
+
+            const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            marker.setAttribute('cx', point.x);
+            marker.setAttribute('cy', point.y);
+            marker.setAttribute('fill', color);
+            marker.setAttribute('stroke', '#fff');
+            marker.setAttribute('role', 'img');
+            marker.setAttribute('aria-label', category ? `${name} (${category})` : name);
+            marker.dataset.radius = String(definition.radius || 5);
+            marker.style.cursor = 'pointer';
+            marker.addEventListener('mousemove', (event) => {
+                this.tooltipElement.style.display = 'block';
+                this.tooltipElement.innerHTML = `<strong>${InteractiveMapLibrary.escapeHtml(name)}</strong>`
+                    + (category ? `<br>${InteractiveMapLibrary.escapeHtml(category)}` : '');
+                this.tooltipElement.style.left = `${event.pageX + 15}px`;
+                this.tooltipElement.style.top = `${event.pageY + 10}px`;
+            });
+            marker.addEventListener('mouseout', () => {
+                this.tooltipElement.style.display = 'none';
+            });
+            marker.addEventListener('click', (event) => {
+                this._emit('markerclick', { layer: layer.id, row, originalEvent: event });
+                if (this.descriptionElement) {
+                    const description = definition.descriptionColumn ? row[definition.descriptionColumn] : null;
+                    this.descriptionElement.innerHTML = `<h3>${InteractiveMapLibrary.escapeHtml(name)}</h3>`
+                        + (category ? `<p><small>${InteractiveMapLibrary.escapeHtml(category)}</small></p>` : '')
+                        + (description ? this._renderDescription(description) : '');
+                }
+            });
+            layer.group.appendChild(marker);
+        });
+
+        if (unplaced > 0) {
+            console.warn(`InteractiveMapLibrary: ${unplaced} rows of layer "${layer.id}" have no x/y${this._getGeoreference() ? ' or lat/lon' : ' (lat/lon needs a georeferenced map)'} and were not drawn.`);
+        }
+    }
+
+    _projectLonLat(lon, lat) {
+        const transform = this._getGeoreference();
+        if (!transform) return null;
+        return {
+            x: transform.a * lon + transform.b * lat + transform.c,
+            y: transform.d * lon + transform.e * lat + transform.f
+        };
+    }
+
+    /**
+     * Converts a point in SVG (viewBox) units to longitude/latitude, e.g. to read control points off the map.
+     * @returns {{lon: number, lat: number}|null} Null when the map is not georeferenced.
+     */
+    svgToLonLat(x, y) {
+        const transform = this._getGeoreference();
+        if (!transform) return null;
+        const determinant = transform.a * transform.e - transform.b * transform.d;
+        return {
+            lon: (transform.e * (x - transform.c) - transform.b * (y - transform.f)) / determinant,
+            lat: (transform.a * (y - transform.f) - transform.d * (x - transform.c)) / determinant
+        };
+    }
+
+    /**
+     * Replaces `config.controlPoints` and moves lat/lon markers to match.
+     * @param {Array<object>} points `[{ x, y, lon, lat }]`, at least three.
+     * @returns {number|null} RMS distance in SVG units between the control points and where the fit puts them.
+     */
+    setControlPoints(points) {
+        this.config.controlPoints = points;
+        this.georeference = null;
+        const transform = this._getGeoreference();
+        this.layers.filter(layer => layer.type === 'points' && layer.rows).forEach(layer => this._renderPointLayer(layer));
+        this._scaleLayers();
+        return transform ? transform.rmsError : null;
+    }
+
+    // Lon/lat to SVG as an affine transform, x = a·lon + b·lat + c and y = d·lon + e·lat + f. A DS division is small
+    // enough that the map projection is linear across it. Boundaries win over control points, which win over geoBounds.
+    _getGeoreference() {
+        if (this.boundaryProjection) return this.boundaryProjection;
+        if (this.georeference !== null) return this.georeference || null; // false: control points were unusable
+
+        const points = this.config.controlPoints;
+        const bounds = this.config.geoBounds;
+        if (points && points.length > 0) {
+            if (points.length < 3) {
+                console.warn('InteractiveMapLibrary: At least three control points are needed to georeference the map.');
+                this.georeference = false;
+                return null;
+            }
+            this.georeference = this._fitAffine(points) || false;
+            if (!this.georeference) {
+                console.warn('InteractiveMapLibrary: The control points lie on one line; pick points spread across the map.');
+            } else if (this.georeference.rmsError > 5) {
+                console.warn(`InteractiveMapLibrary: Control points disagree by ${this.georeference.rmsError.toFixed(1)} SVG units on average; check them for typos.`);
+            }
+        } else if (bounds && this.baseViewBox) {
+            const box = this.baseViewBox;
+            const a = box.width / (bounds.east - bounds.west);
+            const e = -box.height / (bounds.north - bounds.south);
+            this.georeference = { a, b: 0, c: box.x - a * bounds.west, d: 0, e, f: box.y - e * bounds.north, rmsError: 0 };
+        }
+        return this.georeference || null;
+    }
+
+    // Least-squares affine fit to the control points. Coordinates are centered first to keep the equations well
+    // conditioned (longitudes near 80° would otherwise swamp the small differences between points).
+    _fitAffine(points) {
+        const mean = key => points.reduce((sum, point) => sum + Number(point[key]), 0) / points.length;
+        const lon0 = mean('lon');
+        const lat0 = mean('lat');
+        const normal = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const rightX = [0, 0, 0];
+        const rightY = [0, 0, 0];
+        points.forEach(point => {
+            const row = [Number(point.lon) - lon0, Number(point.lat) - lat0, 1];
+            row.forEach((value, i) => {
+                row.forEach((other, j) => { normal[i][j] += value * other; });
+                rightX[i] += value * Number(point.x);
+                rightY[i] += value * Number(point.y);
+            });
+        });
+
+        // Cramer's rule for the 3×3 normal equations
+        const det = m => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+            - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+            + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+        const determinant = det(normal);
+        if (!Number.isFinite(determinant) || Math.abs(determinant) < 1e-18) return null;
+        const solve = right => [0, 1, 2].map(column => det(normal.map((row, i) => row.map((value, j) => j === column ? right[i] : value))) / determinant);
+        const [a, b, cx] = solve(rightX);
+        const [d, e, cy] = solve(rightY);
+        const transform = { a, b, c: cx - a * lon0 - b * lat0, d, e, f: cy - d * lon0 - e * lat0 };
+
+        const squaredErrors = points.map(point => {
+            const [lon, lat] = [Number(point.lon), Number(point.lat)];
+            const x = transform.a * lon + transform.b * lat + transform.c;
+            const y = transform.d * lon + transform.e * lat + transform.f;
+            return (x - Number(point.x)) ** 2 + (y - Number(point.y)) ** 2;
+        });
+        transform.rmsError = Math.sqrt(squaredErrors.reduce((sum, value) => sum + value, 0) / points.length);
+        return transform;
+    }
+
+    /**
+     * Returns the id of the region containing a longitude/latitude, or null outside every region
+     * or when the map is not georeferenced.
+     */
+    regionAtLonLat(lon, lat) {
+        const point = this._projectLonLat(lon, lat);
+        return point ? this._regionAtPoint(point.x, point.y) : null;
+    }
+
+    _regionAtPoint(x, y) {
+        const hit = this.regionElements.find(element => {
+            const rings = this._regionRings(element);
+            if (rings) return this._pointInRings(x, y, rings);
+            // Curved paths from the SVG: let the browser test the fill
+            if (typeof element.isPointInFill === 'function' && typeof DOMPoint !== 'undefined') {
+                return element.isPointInFill(new DOMPoint(x, y));
+            }
+            return false;
+        });
+        return hit ? hit.id : null;
+    }
+
+    // Outline of a region: projected boundary rings, or the points of an SVG polyline/polygon
+    _regionRings(element) {
+        if (this.regionRings[element.id]) return this.regionRings[element.id];
+        const tag = element.tagName.toLowerCase();
+        if (tag !== 'polyline' && tag !== 'polygon') return null;
+        const numbers = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number);
+        const ring = [];
+        for (let i = 0; i + 1 < numbers.length; i += 2) ring.push([numbers[i], numbers[i + 1]]);
+        this.regionRings[element.id] = [ring];
+        return this.regionRings[element.id];
+    }
+
+    // Even-odd ray casting, so holes in multi-ring regions count as outside
+    _pointInRings(x, y, rings) {
+        let inside = false;
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+            }
+        });
+        return inside;
+    }
+
+    /**
+     * Finds the user with the browser's geolocation, marks the position and selects the GN division it is in.
+     * Needs a georeferenced map (`config.boundaries`, `config.controlPoints` or `config.geoBounds`).
+     * Failures (not georeferenced, permission denied, timeout) are shown in the description panel and
+     * emitted as an 'error' event with stage 'locate'; the promise then resolves with null.
+     * @param {object} [options] Options for `navigator.geolocation.getCurrentPosition`.
+     * @returns {Promise<{id: string|null, lon: number, lat: number, accuracy: number|null}|null>} `id` is null outside the map.
+     */
+    async locate(options = {}) {
+        try {
+            if (!this._getGeoreference()) {
+                throw new Error('The map is not georeferenced. Set boundaries, controlPoints or geoBounds.');
+            }
+            if (typeof navigator === 'undefined' || !navigator.geolocation) {
+                throw new Error(this.t('locationUnsupported'));
+            }
+            const position = await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, { enableHighAccuracy: true, timeout: 15000, ...options });
+            });
+            return this.showLocation(position.coords.longitude, position.coords.latitude, { accuracy: position.coords.accuracy });
+        } catch (error) {
+            this._emit('error', { error, stage: 'locate' });
+            if (this.descriptionElement) {
+                this.descriptionElement.innerHTML = `<p style="color: red;">${InteractiveMapLibrary.escapeHtml(this.t('errorLocate', { message: error.message }))}</p>`;
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Marks a longitude/latitude on the map ("You are here") and selects the region containing it.
+     * @param {object} [options]
+     * @param {number} [options.accuracy] Radius in metres to draw around the point.
+     * @returns {{id: string|null, lon: number, lat: number, accuracy: number|null}|null} Null when the map is not georeferenced.
+     */
+    showLocation(lon, lat, options = {}) {
+        const point = this._projectLonLat(lon, lat);
+        if (!point) {
+            console.warn('InteractiveMapLibrary: The map is not georeferenced. Set boundaries, controlPoints or geoBounds.');
+            return null;
+        }
+        const id = this._regionAtPoint(point.x, point.y);
+        const result = { id, lon, lat, accuracy: options.accuracy !== undefined ? options.accuracy : null };
+        this._drawLocationMarker(point, result.accuracy);
+
+        if (id && this.mapData[id]) {
+            this.select(id);
+        }
+        if (this.descriptionElement) {
+            const name = id ? ((this.mapData[id] && this.mapData[id].displayName) || id) : null;
+            const message = `<p><strong>${InteractiveMapLibrary.escapeHtml(name ? this.t('locationFound', { name }) : this.t('locationOutside'))}</strong></p>`;
+            this.descriptionElement.innerHTML = id && this.mapData[id] ? message + this.descriptionElement.innerHTML : message;
+        }
+        this._emit('locate', result);
+        return result;
+    }
+
+    // The location is a layer of its own, so the layer control can hide it
+    _drawLocationMarker(point, accuracy) {
+        if (!this.layersGroup) return;
+        let layer = this.layers.find(candidate => candidate.type === 'location');
+        if (!layer) {
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.setAttribute('data-layer', 'location');
+            group.style.pointerEvents = 'none';
+            this.layersGroup.appendChild(group);
+            layer = { id: 'location', type: 'location', definition: {}, group, rows: null, visible: true };
+            this.layers.push(layer);
+            this._renderLayerControl();
+        }
+        layer.group.innerHTML = '';
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const transform = this._getGeoreference();
+        if (accuracy) {
+            // Metres to SVG units along the north-south axis: one degree of latitude is about 111.32 km
+            const halo = document.createElementNS(svgNS, 'circle');
+            halo.setAttribute('cx', point.x);
+            halo.setAttribute('cy', point.y);
+            halo.setAttribute('r', (accuracy / 111320) * Math.hypot(transform.b, transform.e));
+            halo.setAttribute('fill', '#1a73e8');
+            halo.setAttribute('fill-opacity', '0.15');
+            layer.group.appendChild(halo);
+        }
+        const dot = document.createElementNS(svgNS, 'circle');
+        dot.setAttribute('cx', point.x);
+        dot.setAttribute('cy', point.y);
+        dot.setAttribute('fill', '#1a73e8');
+        dot.setAttribute('stroke', '#fff');
+        dot.dataset.radius = '6';
+        layer.group.appendChild(dot);
+        this._scaleLayers();
+    }
+
+    // Keeps markers, symbols and labels the same size on screen at every zoom level
+    _scaleLayers() {
+        if (!this.layersGroup || !this.viewportSvg) return;
+        const unitsPerPixel = this._unitsPerPixel(this.view.scale);
+        this.layers.forEach(layer => {
+            if (layer.type === 'points' || layer.type === 'symbols' || layer.type === 'location') {
+                layer.group.querySelectorAll('circle[data-radius]').forEach(circle => {
+                    circle.setAttribute('r', Number(circle.dataset.radius) * unitsPerPixel);
+                    circle.setAttribute('stroke-width', unitsPerPixel);
+                });
+            } else if (layer.type === 'labels') {
+                layer.group.setAttribute('font-size', (layer.definition.fontSize || 11) * unitsPerPixel);
+                layer.group.setAttribute('stroke-width', 3 * unitsPerPixel);
+            }
+        });
+    }
+
+    _renderLayerControl() {
+        const toggleable = this.layers;
+        if (!this.layerControlElement) {
+            if (toggleable.length === 0) return;
+            let element = this.config.layerControlElementId
+                ? document.getElementById(this.config.layerControlElementId)
+                : null;
+            if (!element) {
+                // No element configured: float the control over the top right of the map container, left of the zoom buttons
+                element = this._createFloatingPanel('interactive-map-layer-control', { right: '70px', top: '20px' });
+            }
+            if (!element) return;
+            this.layerControlElement = element;
+        }
+
+        const container = this.layerControlElement;
+        container.innerHTML = '';
+        container.setAttribute('role', 'group');
+        container.setAttribute('aria-label', this.t('layers'));
+        const title = document.createElement('div');
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '4px';
+        title.textContent = this.t('layers');
+        container.appendChild(title);
+
+        toggleable.forEach(layer => {
+            const label = document.createElement('label');
+            label.style.display = 'block';
+            label.style.cursor = 'pointer';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = layer.visible;
+            checkbox.style.marginRight = '6px';
+            checkbox.addEventListener('change', () => this.setLayerVisibility(layer.id, checkbox.checked));
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(this._layerLabel(layer)));
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * Finds regions whose id, displayName or `config.searchFields` match the query.
+     * Matching ignores case, underscores and Sinhala/Tamil zero-width joiners, and tolerates
+     * skipped letters (e.g. "wtgdr" finds "wattegedara").
+     * @param {string} query Search text.
+     * @param {number} [limit=10] Maximum number of results.
+     * @returns {Array<object>} `[{ id, displayName, score }]`, best match first.
+     */
+    search(query, limit = 10) {
+        const needle = this._normalizeSearchText(query);
+        if (!needle) return [];
+
+        const results = [];
+        Object.entries(this.mapData).forEach(([id, regionData]) => {
+            // Names in every language match, whatever the current locale
+            const nameFields = Object.keys(regionData.attributes || {}).filter(field => /^displayName(_|$)/.test(field));
+            const candidates = [id, regionData.displayName]
+                .concat(nameFields.concat(this.config.searchFields).map(field => regionData.attributes && regionData.attributes[field]))
+                .filter(value => value !== undefined && value !== null && value !== '')
+                .map(value => this._normalizeSearchText(value));
+            const score = Math.max(...candidates.map(candidate => this._fuzzyScore(needle, candidate)));
+            if (score > 0) results.push({ id, displayName: regionData.displayName || id, score });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.displayName.localeCompare(b.displayName))
+            .slice(0, limit);
+    }
+
+    _normalizeSearchText(text) {
+        return String(text)
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[\u200B-\u200D\uFEFF]/g, '') // Zero-width joiners used in Sinhala conjuncts
+            .replace(/[_\-.]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Scores 0 (no match) to 100: exact > prefix > word prefix > substring > letters in order
+    _fuzzyScore(needle, haystack) {
+        if (!haystack) return 0;
+        if (haystack === needle) return 100;
+        if (haystack.startsWith(needle)) return 90;
+        if (haystack.split(' ').some(word => word.startsWith(needle))) return 80;
+        if (haystack.includes(needle)) return 70;
+
+        let position = 0;
+        let gaps = 0;
+        for (const char of needle) {
+            if (char === ' ') continue;
+            const found = haystack.indexOf(char, position);
+            if (found === -1) return 0;
+            gaps += found - position;
+            position = found + 1;
+        }
+        return Math.max(1, 50 - gaps);
+    }
+
+    /**
+     * Dims regions that do not match a filter.
+     * @param {string|function} filter An expression such as "population > 2000", "color = red" or
+     *   "population >= 1000 and families < 500" (operators: = != > >= < <= ~ for "contains"), or a
+     *   function(regionData, id) returning true for regions to keep.
+     * @returns {string[]} Ids of the matching regions.
+     */
+    setFilter(filter) {
+        if (!filter) {
+            this.clearFilter();
+            return [];
+        }
+        const test = typeof filter === 'function' ? filter : this._compileFilter(filter);
+        this.filter = { expression: filter, test };
+        this._updateFilterMatches();
+        this._refreshFills();
+        return Array.from(this.filterMatches);
+    }
+
+    clearFilter() {
+        this.filter = null;
+        this.filterMatches = null;
+        this._refreshFills();
+    }
+
+    _updateFilterMatches() {
+        if (!this.filter) {
+            this.filterMatches = null;
+            return;
+        }
+        this.filterMatches = new Set(
+            Object.keys(this.mapData).filter(id => this.filter.test(this.mapData[id], id))
+        );
+    }
+
+    // Turns "field op value [and field op value ...]" into a test function; throws on bad syntax
+    _compileFilter(expression) {
+        const conditions = String(expression).split(/\s+(?:and|&&)\s+/i).map(part => {
+            const match = part.match(/^\s*(.+?)\s*(>=|<=|!=|==|=|>|<|~)\s*(.+?)\s*$/);
+            if (!match) {
+                throw new Error(this.t('filterInvalid', { filter: part.trim() }));
+            }
+            return { field: match[1], operator: match[2], value: match[3].replace(/^(['"])(.*)\1$/, '$2') };
+        });
+
+        return (regionData, id) => conditions.every(({ field, operator, value }) => {
+            const actual = this._filterFieldValue(regionData, id, field);
+            if (actual === null || actual === undefined || actual === '') return operator === '!=';
+
+            const actualNumber = InteractiveMapLibrary.core.parseNumber(actual);
+            const expectedNumber = InteractiveMapLibrary.core.parseNumber(value);
+            const numeric = actualNumber !== null && expectedNumber !== null;
+            const a = numeric ? actualNumber : String(actual).toLowerCase();
+            const b = numeric ? expectedNumber : String(value).toLowerCase();
+            switch (operator) {
+                case '=':
+                case '==': return a === b;
+                case '!=': return a !== b;
+                case '>': return a > b;
+                case '>=': return a >= b;
+                case '<': return a < b;
+                case '<=': return a <= b;
+                case '~': return String(actual).toLowerCase().includes(String(value).toLowerCase());
+                default: return false;
+            }
+        });
+    }
+
+    _filterFieldValue(regionData, id, field) {
+        const name = field.trim();
+        const lower = name.toLowerCase();
+        if (lower === 'id') return id;
+        if (lower === 'color') return regionData.sheetColor || regionData.color;
+        if (lower === 'displayname' || lower === 'name') return regionData.displayName;
+        // Metrics can be referred to by key or by label
+        const metric = this.metrics.find(m => m.key.toLowerCase() === lower || String(m.label).toLowerCase() === lower);
+        if (metric) return regionData.values[metric.key];
+        const attributes = regionData.attributes || {};
+        const key = Object.keys(attributes).find(k => k.toLowerCase() === lower);
+        return key !== undefined ? attributes[key] : undefined;
+    }
+
+    _renderSearchPanel() {
+        const container = this.config.searchElementId ? document.getElementById(this.config.searchElementId) : null;
+        if (!container) {
+            if (this.config.searchElementId) {
+                console.warn(`InteractiveMapLibrary: Search element "${this.config.searchElementId}" not found.`);
+            }
+            return;
+        }
+        container.innerHTML = '';
+
+        const inputStyle = 'width: 100%; box-sizing: border-box; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; margin-bottom: 5px;';
+
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.placeholder = this.t('searchPlaceholder');
+        searchInput.setAttribute('aria-label', this.t('searchLabel'));
+        searchInput.style.cssText = inputStyle;
+
+        const resultList = document.createElement('ul');
+        resultList.setAttribute('role', 'listbox');
+        resultList.style.cssText = 'list-style: none; margin: 0 0 8px; padding: 0; max-height: 200px; overflow-y: auto;';
+
+        const filterInput = document.createElement('input');
+        filterInput.type = 'text';
+        filterInput.placeholder = this.t('filterPlaceholder');
+        filterInput.setAttribute('aria-label', this.t('filterLabel'));
+        filterInput.style.cssText = inputStyle;
+        // Keep a typed filter when the panel is rebuilt for another language
+        if (this.filter && typeof this.filter.expression === 'string') filterInput.value = this.filter.expression;
+
+        const filterStatus = document.createElement('div');
+        filterStatus.style.fontSize = '0.85em';
+        filterStatus.style.color = '#666';
+
+        let results = [];
+        let activeIndex = -1;
+
+        const choose = (result) => {
+            searchInput.value = result.displayName;
+            resultList.innerHTML = '';
+            results = [];
+            this.select(result.id, { zoom: true });
+        };
+        const renderResults = () => {
+            resultList.innerHTML = '';
+            results.forEach((result, index) => {
+                const item = document.createElement('li');
+                item.setAttribute('role', 'option');
+                item.setAttribute('aria-selected', String(index === activeIndex));
+                item.textContent = result.displayName === result.id ? result.id : `${result.displayName} (${result.id})`;
+                item.style.padding = '4px 8px';
+                item.style.cursor = 'pointer';
+                item.style.background = index === activeIndex ? '#e8f0fe' : '';
+                item.addEventListener('mousedown', (event) => {
+                    event.preventDefault(); // Keep focus in the input until the choice is made
+                    choose(result);
+                });
+                resultList.appendChild(item);
+            });
+        };
+
+        searchInput.addEventListener('input', () => {
+            results = this.search(searchInput.value);
+            activeIndex = results.length > 0 ? 0 : -1;
+            renderResults();
+        });
+        searchInput.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                if (results.length === 0) return;
+                const direction = event.key === 'ArrowDown' ? 1 : -1;
+                activeIndex = (activeIndex + direction + results.length) % results.length;
+                renderResults();
+                event.preventDefault();
+            } else if (event.key === 'Enter' && results[activeIndex]) {
+                choose(results[activeIndex]);
+                event.preventDefault();
+            } else if (event.key === 'Escape') {
+                results = [];
+                renderResults();
+            }
+        });
+
+        filterInput.addEventListener('input', () => {
+            const expression = filterInput.value.trim();
+            if (!expression) {
+                this.clearFilter();
+                filterStatus.textContent = '';
+                filterStatus.style.color = '#666';
+                return;
+            }
+            try {
+                const matches = this.setFilter(expression);
+                filterStatus.textContent = this.t('filterMatches', { count: matches.length, total: Object.keys(this.mapData).length });
+                filterStatus.style.color = '#666';
+            } catch (error) {
+                // Half-typed expressions are common while typing; show the hint without touching the map
+                filterStatus.textContent = error.message;
+                filterStatus.style.color = '#b00020';
+            }
+        });
+
+        container.appendChild(searchInput);
+        container.appendChild(resultList);
+        container.appendChild(filterInput);
+        container.appendChild(filterStatus);
+    }
+
+    _displayChartForId(id) {
+        // Pinned regions keep the comparison chart on screen while other regions are browsed
+        if (this.pinned.length > 0) {
+            this._displayComparisonChart();
+            return;
+        }
+        const regionData = this.mapData[id];
+        if (!regionData) {
+            if (id) console.warn(`InteractiveMapLibrary: No data found for ID "${id}" to display chart.`);
+            if (this.chartInstance) {
+                this.chartInstance.destroy();
+                this.chartInstance = null;
+            }
+            if(this.chartCanvas) {
+                this.chartCanvas.getContext('2d').clearRect(0, 0, this.chartCanvas.width, this.chartCanvas.height);
+            }
+            if (this.legendElement) this.legendElement.innerHTML = "";
+            return;
+        }
+        if (this.periods.length > 1) {
+            this._displayHistoryChart(id);
+        } else {
+            this._displayChart(regionData, id);
+        }
+    }
+
+    // Line chart of a region's metrics over every period, with the current period's points enlarged
+    _displayHistoryChart(id) {
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+        }
+
+        const regionData = this.mapData[id];
+        const history = this.getHistory(id);
+        const colors = this.metrics.map((metric, index) => InteractiveMapLibrary.SERIES_COLORS[index % InteractiveMapLibrary.SERIES_COLORS.length]);
+
+        const ctx = this.chartCanvas.getContext('2d');
+        this.chartInstance = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: this.periods,
+                datasets: this.metrics.map((metric, index) => ({
+                    label: metric.unit ? `${metric.label} (${metric.unit})` : metric.label,
+                    data: history.map(entry => entry.values ? entry.values[metric.key] : null),
+                    borderColor: colors[index],
+                    backgroundColor: colors[index],
+                    pointRadius: this._historyPointRadii(),
+                    spanGaps: true,
+                    tension: 0.2
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                locale: this._numberLocale(), // Axis tick numbers
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.t('historyFor', { name: regionData.displayName || id }),
+                        font: { size: 16 },
+                        padding: { top: 10, bottom: 20 }
+                    },
+                    legend: {
+                        display: false // Using custom legend
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const metric = this.metrics[context.datasetIndex];
+                                return `${metric.label}: ${this._formatMetricValue(metric, context.parsed.y)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: this.t('values')
+                        }
+                    }
+                }
+            }
+        });
+        this.chartInstance.historyRegionId = id;
+        this._updateLegend(regionData, colors);
+    }
+
+    _historyPointRadii() {
+        return this.periods.map(period => period === this.currentPeriod ? 6 : 3);
+    }
+
+    /**
+     * Returns a region's values for every period, oldest first. Periods without a row for the
+     * region have `values: null`. Without time series data this is the single current snapshot.
+     * @param {string} id Region id.
+     * @returns {Array<object>} `[{ period, values }]`
+     */
+    getHistory(id) {
+        if (this.periods.length === 0) {
+            return [{ period: null, values: this.mapData[id] ? this.mapData[id].values : null }];
+        }
+        return this.periods.map(period => {
+            const regionData = this.periodData[period][id];
+            return { period, values: regionData ? regionData.values : null };
+        });
+    }
+
+    /**
+     * Shows the given period: recolors the map and updates the chart and legend.
+     * @param {string|number} period One of `this.periods`.
+     */
+    setPeriod(period) {
+        const key = String(period);
+        if (!this.periods.includes(key)) {
+            console.warn(`InteractiveMapLibrary: Unknown period "${period}".`);
+            return;
+        }
+        if (key === this.currentPeriod) return;
+
+        this.currentPeriod = key;
+        this.mapData = this.periodData[key];
+        this._applyChoropleth();
+        this._updateFilterMatches();
+        this._refreshFills();
+        this._updateRegionAccessibility();
+        this._renderDataTable();
+        this._renderRegionLayers();
+
+        const selection = this.selection.filter(id => this.mapData[id]);
+        const selectionChanged = selection.length !== this.selection.length;
+        this.selection = selection;
+        const historyChart = this.chartInstance && this.chartInstance.historyRegionId;
+        if (historyChart && this.selection.length === 1 && historyChart === this.selection[0]) {
+            // Same region: move the highlighted point instead of rebuilding, so the chart animates
+            this.chartInstance.data.datasets.forEach(dataset => {
+                dataset.pointRadius = this._historyPointRadii();
+            });
+            this.chartInstance.update();
+            this._updateLegend(this.mapData[historyChart], this.chartInstance.data.datasets.map(dataset => dataset.borderColor));
+        } else if (this.selection.length > 0 || this.pinned.length > 0 || selectionChanged) {
+            this._renderSelection();
+        }
+        if (selectionChanged) this._emitSelectionChange();
+
+        this._updatePeriodControl();
+        this._emit('periodchange', { period: key });
+    }
+
+    /** Steps through the periods from the current one, one every `config.periodPlayInterval` ms. */
+    playPeriods() {
+        if (this.periods.length < 2 || this.periodPlayTimer) return;
+        // Starting on the last period replays from the first
+        if (this.currentPeriod === this.periods[this.periods.length - 1]) this.setPeriod(this.periods[0]);
+        this.periodPlayTimer = setInterval(() => {
+            const next = this.periods.indexOf(this.currentPeriod) + 1;
+            if (next >= this.periods.length) {
+                this.stopPeriods();
+                return;
+            }
+            this.setPeriod(this.periods[next]);
+        }, this.config.periodPlayInterval);
+        this._updatePeriodControl();
+    }
+
+    stopPeriods() {
+        if (this.periodPlayTimer) {
+            clearInterval(this.periodPlayTimer);
+            this.periodPlayTimer = null;
+        }
+        this._updatePeriodControl();
+    }
+
+    _renderPeriodControl() {
+        if (this.periods.length < 2) {
+            this.stopPeriods();
+            if (this.periodControlElement) this.periodControlElement.style.display = 'none';
+            return;
+        }
+
+        if (!this.periodControlElement) {
+            let element = this.config.periodControlElementId
+                ? document.getElementById(this.config.periodControlElementId)
+                : null;
+            if (!element) {
+                // No element configured: float the control over the top left of the map container
+                element = this._createFloatingPanel('interactive-map-period-control', { left: '20px', top: '20px' }, { fontSize: '' });
+            }
+            if (!element) return;
+            this.periodControlElement = element;
+        }
+
+        const container = this.periodControlElement;
+        container.innerHTML = '';
+        container.style.display = 'flex';
+        container.style.alignItems = 'center';
+        container.style.gap = '8px';
+
+        const playButton = document.createElement('button');
+        playButton.type = 'button';
+        playButton.style.cursor = 'pointer';
+        playButton.addEventListener('click', () => {
+            if (this.periodPlayTimer) {
+                this.stopPeriods();
+            } else {
+                this.playPeriods();
+            }
+        });
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = String(this.periods.length - 1);
+        slider.step = '1';
+        slider.setAttribute('aria-label', this.t('period'));
+        slider.addEventListener('input', () => {
+            this.stopPeriods();
+            this.setPeriod(this.periods[Number(slider.value)]);
+        });
+
+        const label = document.createElement('strong');
+
+        container.appendChild(playButton);
+        container.appendChild(slider);
+        container.appendChild(label);
+        this.periodControls = { playButton, slider, label };
+        this._updatePeriodControl();
+    }
+
+    _updatePeriodControl() {
+        if (!this.periodControls) return;
+        const { playButton, slider, label } = this.periodControls;
+        const index = this.periods.indexOf(this.currentPeriod);
+        slider.value = String(Math.max(0, index));
+        slider.setAttribute('aria-valuetext', this.currentPeriod || '');
+        label.textContent = this.currentPeriod || '';
+        playButton.textContent = this.periodPlayTimer ? '❚❚' : '▶';
+        playButton.setAttribute('aria-label', this.t(this.periodPlayTimer ? 'pause' : 'play'));
+    }
+
+    // Grouped bar or radar chart of every metric for the pinned regions, one color per region.
+    // The radar plots each value as a percentage of the highest division, so metrics of very
+    // different sizes share one scale; tooltips still show the real values.
+    _displayComparisonChart() {
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+        }
+
+        const metrics = this.metrics;
+        const comparison = this.getComparison();
+        const radar = this.config.compareChartType === 'radar';
+        const maxima = metrics.map(metric => Math.max(0, ...Object.values(this.mapData)
+            .map(regionData => regionData.values[metric.key])
+            .filter(value => value !== null && value !== undefined)));
+        const colors = comparison.regions.map((region, index) => InteractiveMapLibrary.SERIES_COLORS[index % InteractiveMapLibrary.SERIES_COLORS.length]);
+
+        const ctx = this.chartCanvas.getContext('2d');
+        this.chartInstance = new Chart(ctx, {
+            type: radar ? 'radar' : 'bar',
+            data: {
+                labels: metrics.map(metric => metric.unit ? `${metric.label} (${metric.unit})` : metric.label),
+                datasets: comparison.regions.map((region, index) => ({
+                    label: region.displayName,
+                    data: metrics.map((metric, metricIndex) => {
+                        const value = region.values[metric.key];
+                        if (!radar || value === null) return value;
+                        return maxima[metricIndex] > 0 ? (value / maxima[metricIndex]) * 100 : 0;
+                    }),
+                    backgroundColor: radar ? `rgba(${InteractiveMapLibrary.core.hexToRgb(colors[index]).join(', ')}, 0.15)` : colors[index],
+                    borderColor: colors[index],
+                    borderWidth: radar ? 2 : 1,
+                    pointBackgroundColor: colors[index]
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                locale: this._numberLocale(), // Axis tick numbers
+                plugins: {
+                    title: {
+                        display: true,
+                        text: this.t('comparingRegions', { count: comparison.regions.length }),
+                        font: { size: 16 },
+                        padding: { top: 10, bottom: 20 }
+                    },
+                    legend: {
+                        display: false // Using custom legend
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const metric = metrics[context.dataIndex];
+                                const value = comparison.regions[context.datasetIndex].values[metric.key];
+                                return `${context.dataset.label}: ${this._formatMetricValue(metric, value)}`;
+                            }
+                        }
+                    }
+                },
+                scales: radar ? {
+                    r: {
+                        beginAtZero: true,
+                        suggestedMax: 100,
+                        ticks: { callback: (value) => `${this._formatNumber(value)}%` }
+                    }
+                } : {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: this.t('values')
+                        }
+                    }
+                }
+            }
+        });
+
+        if (!this.legendElement) return;
+        this.legendElement.innerHTML = "";
+        comparison.regions.forEach((region, index) => {
+            const legendItem = this._createLegendItem(colors[index], region.displayName);
+            if (index < comparison.regions.length - 1) legendItem.style.marginBottom = '5px';
+            this.legendElement.appendChild(legendItem);
+        });
+        if (radar) {
+            const note = document.createElement('small');
+            note.textContent = this.t('radarNote');
+            this.legendElement.appendChild(note);
+        }
+    }
+
+    // Draws the metric bar chart and legend for a region, or for an aggregate shaped like one
+    _displayChart(regionData, id) {
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+        }
+
+        const metrics = this.metrics;
+        const { metricShade, adjustColor } = InteractiveMapLibrary.core;
+        const shades = metrics.map((metric, index) => metricShade(index, metrics.length));
+
+        const ctx = this.chartCanvas.getContext('2d');
+        this.chartInstance = new Chart(ctx, {
             type: 'bar',
             data: {
-                labels: [this.config.data1Label, this.config.data2Label],
+                labels: metrics.map(metric => metric.unit ? `${metric.label} (${metric.unit})` : metric.label),
                 datasets: [{
                     label: regionData.displayName || id,
-                    data: [regionData.data1, regionData.data2],
-                    backgroundColor: [
-                        this._adjustColor(regionData.color, -30),
-                        this._adjustColor(regionData.color, 30)
-                    ],
-                    borderColor: [ // Use slightly darker/original color for border for better definition
-                        this._adjustColor(regionData.color, -10),
-                        this._adjustColor(regionData.color, 10)
-                    ],
+                    data: metrics.map(metric => regionData.values[metric.key]),
+                    backgroundColor: shades.map(amount => adjustColor(regionData.color, amount)),
+                    borderColor: shades.map(amount => adjustColor(regionData.color, amount + 20)), // Slightly lighter border for better definition
                     borderWidth: 1
                 }]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                locale: this._numberLocale(), // Axis tick numbers
                 plugins: {
                     title: {
                         display: true,
-                        text: `Data for ${regionData.displayName || id}`,
+                        text: this.t('dataFor', { name: regionData.displayName || id }),
                         font: { size: 16 },
                         padding: { top: 10, bottom: 20 }
                     },
@@ -395,13 +3393,13 @@ class InteractiveMapLibrary {
                     },
                     tooltip: {
                         callbacks: {
-                            label: function(context) {
+                            label: (context) => {
                                 let label = context.dataset.label || '';
                                 if (label) {
                                     label += ': ';
                                 }
                                 if (context.parsed.y !== null) {
-                                    label += context.parsed.y;
+                                    label += this._formatMetricValue(metrics[context.dataIndex], context.parsed.y);
                                 }
                                 return label;
                             }
@@ -413,7 +3411,7 @@ class InteractiveMapLibrary {
                         beginAtZero: true,
                         title: {
                             display: true,
-                            text: 'Values'
+                            text: this.t('values')
                         }
                     },
                     x: {
@@ -427,81 +3425,636 @@ class InteractiveMapLibrary {
         this._updateLegend(regionData);
     }
 
-    _updateLegend(regionData) {
+    // `colors` overrides the region-shaded swatches, e.g. to match the lines of the history chart
+    _updateLegend(regionData, colors = null) {
         if (!this.legendElement) return;
         this.legendElement.innerHTML = ""; // Clear previous legend
 
-        const legendItem1 = document.createElement('div');
-        legendItem1.style.display = 'flex';
-        legendItem1.style.alignItems = 'center';
-        legendItem1.style.marginBottom = '5px';
-        const colorBox1 = document.createElement('span');
-        colorBox1.style.display = 'inline-block';
-        colorBox1.style.width = '15px';
-        colorBox1.style.height = '15px';
-        colorBox1.style.backgroundColor = this._adjustColor(regionData.color, -30);
-        colorBox1.style.marginRight = '8px';
-        colorBox1.style.border = `1px solid ${this._adjustColor(regionData.color, -50)}`;
-        const label1 = document.createElement('span');
-        label1.textContent = `${this.config.data1Label}: ${regionData.data1}`;
-        legendItem1.appendChild(colorBox1);
-        legendItem1.appendChild(label1);
-        this.legendElement.appendChild(legendItem1);
-
-        const legendItem2 = document.createElement('div');
-        legendItem2.style.display = 'flex';
-        legendItem2.style.alignItems = 'center';
-        const colorBox2 = document.createElement('span');
-        colorBox2.style.display = 'inline-block';
-        colorBox2.style.width = '15px';
-        colorBox2.style.height = '15px';
-        colorBox2.style.backgroundColor = this._adjustColor(regionData.color, 30);
-        colorBox2.style.marginRight = '8px';
-        colorBox2.style.border = `1px solid ${this._adjustColor(regionData.color, 10)}`;
-        const label2 = document.createElement('span');
-        label2.textContent = `${this.config.data2Label}: ${regionData.data2}`;
-        legendItem2.appendChild(colorBox2);
-        legendItem2.appendChild(label2);
-        this.legendElement.appendChild(legendItem2);
-    }
-
-    _adjustColor(color, amount) {
-        if (typeof color !== 'string' || !color.startsWith('#')) {
-             const defaultShade = amount < 0 ? '#555555' : '#AAAAAA';
-             return defaultShade;
-        }
-
-        let usePound = true;
-        color = color.slice(1);
-        
-        if (color.length !== 3 && color.length !== 6) {
-            const defaultShade = amount < 0 ? '#555555' : '#AAAAAA';
-            return defaultShade;
+        const { metricShade, adjustColor } = InteractiveMapLibrary.core;
+        this.metrics.forEach((metric, index) => {
+            const amount = metricShade(index, this.metrics.length);
+            let text = `${metric.label}: ${this._formatMetricValue(metric, regionData.values[metric.key])}`;
+            if (this.currentPeriod !== null) text += ` (${this.currentPeriod})`;
+            const legendItem = colors
+                ? this._createLegendItem(colors[index], text, colors[index])
+                : this._createLegendItem(adjustColor(regionData.color, amount), text, adjustColor(regionData.color, amount - 20));
+            if (index < this.metrics.length - 1) legendItem.style.marginBottom = '5px';
+            this.legendElement.appendChild(legendItem);
+        });
+    }
+
+    // One legend row: a color swatch and its label. Spacing between rows is left to the caller.
+    _createLegendItem(color, text, borderColor = null) {
+        const item = document.createElement('div');
+        item.style.display = 'flex';
+        item.style.alignItems = 'center';
+        const colorBox = document.createElement('span');
+        colorBox.style.display = 'inline-block';
+        colorBox.style.width = '15px';
+        colorBox.style.height = '15px';
+        colorBox.style.backgroundColor = color;
+        colorBox.style.marginRight = '8px';
+        if (borderColor) colorBox.style.border = `1px solid ${borderColor}`;
+        const label = document.createElement('span');
+        label.textContent = text;
+        item.appendChild(colorBox);
+        item.appendChild(label);
+        return item;
+    }
+
+    _buildTooltipContent(name, regionData) {
+        const lines = this.metrics
+            .filter(metric => regionData.values[metric.key] !== null)
+            .map(metric => InteractiveMapLibrary.escapeHtml(`${metric.label}: ${this._formatMetricValue(metric, regionData.values[metric.key])}`));
+        const title = InteractiveMapLibrary.escapeHtml(this.currentPeriod !== null ? `${name} (${this.currentPeriod})` : name);
+        return lines.length > 0 ? `<strong>${title}</strong><br>${lines.join('<br>')}` : title;
+    }
+
+    // Template results may be DOM nodes or HTML strings
+    _setContent(element, content) {
+        if (content && typeof content === 'object' && content.nodeType) {
+            element.innerHTML = '';
+            element.appendChild(content);
+        } else {
+            element.innerHTML = content === undefined || content === null ? '' : String(content);
+        }
+    }
+
+    // Renders a sheet description according to `config.descriptionFormat`; the result is safe HTML
+    _renderDescription(text) {
+        switch (this.config.descriptionFormat) {
+            case 'markdown':
+                return this._renderMarkdown(String(text));
+            case 'html':
+                return `<div>${this._sanitizeHtml(String(text))}</div>`;
+            default:
+                return `<p>${InteractiveMapLibrary.escapeHtml(text)}</p>`;
+        }
+    }
+
+    // Small Markdown subset. The text is escaped first, so only the markup produced here is live.
+    _renderMarkdown(text) {
+        const inline = (line) => InteractiveMapLibrary.escapeHtml(line)
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*([^*\s][^*]*?)\*/g, '$1<em>$2</em>')
+            // URLs may hold balanced parentheses, one level deep, as Wikipedia links do
+            .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) => {
+                // The URL is already escaped; decode &amp; back only to test the scheme
+                const href = url.replace(/&amp;/g, '&');
+                return this._isSafeUrl(href)
+                    ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`
+                    : label;
+            });
+
+        return text.replace(/\r\n?/g, '\n').split(/\n\s*\n/).map(block => {
+            const lines = block.split('\n').filter(line => line.trim() !== '');
+            if (lines.length > 0 && lines.every(line => /^\s*[-*]\s+/.test(line))) {
+                return `<ul>${lines.map(line => `<li>${inline(line.replace(/^\s*[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+            }
+            if (lines.length > 0 && lines.every(line => /^\s*\d+[.)]\s+/.test(line))) {
+                return `<ol>${lines.map(line => `<li>${inline(line.replace(/^\s*\d+[.)]\s+/, ''))}</li>`).join('')}</ol>`;
+            }
+            return lines.length > 0 ? `<p>${lines.map(inline).join('<br>')}</p>` : '';
+        }).join('');
+    }
+
+    // Rebuilds the HTML keeping only allow-listed tags and attributes; everything else becomes text
+    _sanitizeHtml(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html; // Inert: scripts and handlers in a template do not run
+        const allowed = InteractiveMapLibrary.ALLOWED_HTML;
+
+        const clean = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return InteractiveMapLibrary.escapeHtml(node.textContent);
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+            const tag = node.tagName.toLowerCase();
+            const children = Array.from(node.childNodes).map(clean).join('');
+            if (['script', 'style', 'iframe', 'object', 'embed', 'template'].includes(tag)) return '';
+            if (!allowed[tag]) return children;
+
+            const attributes = allowed[tag]
+                .filter(name => node.hasAttribute(name))
+                .filter(name => name !== 'href' || this._isSafeUrl(node.getAttribute(name)))
+                .map(name => ` ${name}="${InteractiveMapLibrary.escapeHtml(node.getAttribute(name))}"`)
+                .join('');
+            const linkAttributes = tag === 'a' ? ' target="_blank" rel="noopener noreferrer"' : '';
+            return tag === 'br' ? '<br>' : `<${tag}${attributes}${linkAttributes}>${children}</${tag}>`;
+        };
+
+        return Array.from(template.content.childNodes).map(clean).join('');
+    }
+
+    _isSafeUrl(url) {
+        return /^(https?:|mailto:|tel:)/i.test(String(url).trim());
+    }
+
+    /**
+     * Serializes the map as a standalone SVG: the injected styles and current fills, highlights
+     * and filter dimming are all carried over, so the file looks like the page.
+     * @param {object} [options]
+     * @param {boolean} [options.fullMap=false] Export the whole map instead of the current zoomed view.
+     * @param {number} [options.width] Width attribute in px; defaults to the viewBox width.
+     * @returns {string} SVG markup.
+     */
+    exportSVG(options = {}) {
+        const rootSvg = this.viewportSvg || this.svgElement;
+        if (!rootSvg) {
+            throw new Error('The map has not finished loading.');
         }
 
-        if(color.length === 3){
-            color = color[0] + color[0] + color[1] + color[1] + color[2] + color[2];
+        const clone = rootSvg.cloneNode(true);
+        const viewBox = options.fullMap && this.baseViewBox
+            ? [this.baseViewBox.x, this.baseViewBox.y, this.baseViewBox.width, this.baseViewBox.height]
+            : (clone.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+        if (viewBox.length === 4 && viewBox.every(value => !isNaN(value))) {
+            clone.setAttribute('viewBox', viewBox.join(' '));
+            const width = options.width || viewBox[2];
+            clone.setAttribute('width', String(width));
+            clone.setAttribute('height', String(Math.round(width * viewBox[3] / viewBox[2] * 100) / 100));
         }
 
-        const num = parseInt(color, 16);
-        if (isNaN(num)) {
-            const defaultShade = amount < 0 ? '#555555' : '#AAAAAA';
-            return defaultShade;
+        // Page-only attributes would make the file depend on its container: the keyboard and screen reader
+        // wiring (roles, tab stops, aria-pressed/-describedby pointing at the page's tooltip) included
+        [clone, ...clone.querySelectorAll('*')].forEach(element => {
+            Array.from(element.attributes)
+                .filter(attribute => attribute.name === 'role' || attribute.name === 'tabindex' || attribute.name.startsWith('aria-'))
+                .forEach(attribute => element.removeAttribute(attribute.name));
+        });
+        ['width', 'height', 'touch-action', 'cursor', 'transform'].forEach(property => clone.style.removeProperty(property));
+        if (!clone.getAttribute('style')) clone.removeAttribute('style');
+        clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+    }
+
+    /** Downloads exportSVG() as a file. */
+    downloadSVG(filename = 'map.svg', options = {}) {
+        this._downloadBlob(new Blob([this.exportSVG(options)], { type: 'image/svg+xml;charset=utf-8' }), filename);
+    }
+
+    /**
+     * Rasterizes the map to PNG in the browser.
+     * @param {object} [options] exportSVG() options, plus:
+     * @param {number} [options.scale=2] Pixels per SVG unit (ignored when `width` is given).
+     * @param {number} [options.width] Output width in px.
+     * @param {string} [options.background='#ffffff'] Background color; null for transparent.
+     * @returns {Promise<Blob>} The PNG image.
+     */
+    async exportPNG(options = {}) {
+        const svgText = this.exportSVG({ ...options, width: undefined });
+        const image = await this._loadImage(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+
+        const svgWidth = image.naturalWidth || image.width;
+        const svgHeight = image.naturalHeight || image.height;
+        const scale = options.width ? options.width / svgWidth : (options.scale || 2);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(svgWidth * scale);
+        canvas.height = Math.round(svgHeight * scale);
+
+        const ctx = canvas.getContext('2d');
+        const background = options.background === undefined ? '#ffffff' : options.background;
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
         }
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create the PNG image.')), 'image/png');
+        });
+    }
+
+    /** Downloads exportPNG() as a file. */
+    async downloadPNG(filename = 'map.png', options = {}) {
+        this._downloadBlob(await this.exportPNG(options), filename);
+    }
+
+    _loadImage(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not render the map image.'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Opens the browser's print dialog with a one-page report: the map, the choropleth legend, the
+     * selected region's description, chart and values. Choose "Save as PDF" there for a PDF file.
+     * @param {object} [options]
+     * @param {string} [options.title=document.title] Report heading.
+     * @param {boolean} [options.fullMap=false] Print the whole map instead of the current view.
+     */
+    printReport(options = {}) {
+        const escape = InteractiveMapLibrary.escapeHtml;
+        const title = options.title || document.title || this.t('mapReport');
+        const locale = this._numberLocale();
+        const mapSvg = this.exportSVG({ fullMap: options.fullMap }).replace(/^<\?xml[^>]*>\s*/, '');
+        const chartImage = this.chartInstance ? this.chartInstance.toBase64Image() : null;
+        // These panels only ever hold markup the library built from escaped or sanitized text
+        const choroplethLegend = this.choroplethLegendElement && this.choroplethLegendElement.style.display !== 'none'
+            ? this.choroplethLegendElement.innerHTML : '';
+        const description = this.selection.length > 0 && this.descriptionElement ? this.descriptionElement.innerHTML : '';
+        const values = this.selection.length > 0 && this.legendElement ? this.legendElement.innerHTML : '';
+
+        const html = `<!DOCTYPE html>
+<html lang="${escape(this.config.locale)}">
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)}</title>
+<style>
+    @page { size: A4 portrait; margin: 12mm; }
+    body { font-family: Arial, sans-serif; color: #222; margin: 0; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    .meta { color: #666; font-size: 11px; margin-bottom: 10px; }
+    .map svg { width: 100%; height: auto; max-height: 150mm; }
+    .row { display: flex; gap: 16px; margin-top: 10px; page-break-inside: avoid; }
+    .row > div { flex: 1; font-size: 12px; }
+    .chart img { width: 100%; }
+</style>
+</head>
+<body>
+    <h1>${escape(title)}</h1>
+    <div class="meta">${escape(this.t('printedOn', { date: new Date().toLocaleString(locale) }))}${this.dataTimestamp ? ` · ${escape(this.t('dataAsOf', { date: new Date(this.dataTimestamp).toLocaleString(locale) }))}` : ''}${this.currentPeriod !== null ? ` · ${escape(this.t('periodValue', { period: this.currentPeriod }))}` : ''}</div>
+    <div class="map">${mapSvg}</div>
+    <div class="row">
+        ${choroplethLegend ? `<div class="legend">${choroplethLegend}</div>` : ''}
+        ${description ? `<div class="description">${description}${values}</div>` : ''}
+    </div>
+    ${chartImage && description ? `<div class="row chart"><div><img src="${chartImage}" alt="${escape(this.t('chartImage'))}"></div></div>` : ''}
+</body>
+</html>`;
 
-        let red = (num >> 16) & 0xFF;
-        let green = (num >> 8) & 0xFF;
-        let blue = num & 0xFF;
+        // A hidden iframe instead of a popup window, so popup blockers do not get in the way
+        const frame = document.createElement('iframe');
+        frame.style.position = 'fixed';
+        frame.style.width = '0';
+        frame.style.height = '0';
+        frame.style.border = '0';
+        frame.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(frame);
 
-        red += amount;
-        if (red > 255) red = 255; else if (red < 0) red = 0;
+        const frameWindow = frame.contentWindow;
+        frameWindow.document.open();
+        frameWindow.document.write(html);
+        frameWindow.document.close();
+        const cleanUp = () => setTimeout(() => frame.remove(), 0);
+        frameWindow.addEventListener('afterprint', cleanUp);
+        // Give the chart image a moment to decode before printing
+        setTimeout(() => {
+            frameWindow.focus();
+            frameWindow.print();
+        }, 100);
+    }
+
+}
+
+/**
+ * The helpers from interactiveMapCore.js: a CommonJS module under Node (the tests), otherwise the script-tag
+ * global. Kept on the class because a top-level const here would be a page-wide name in the browser.
+ */
+InteractiveMapLibrary.core = typeof module !== 'undefined' && module.exports
+    ? require('./interactiveMapCore.js')
+    : (typeof InteractiveMapCore !== 'undefined' ? InteractiveMapCore : null);
+
+/**
+ * Built-in color ramps for choropleth mode, see InteractiveMapCore.COLOR_RAMPS. Add ramps here to use them by name.
+ */
+InteractiveMapLibrary.COLOR_RAMPS = InteractiveMapLibrary.core ? InteractiveMapLibrary.core.COLOR_RAMPS : {};
 
-        green += amount;
-        if (green > 255) green = 255; else if (green < 0) green = 0;
+/**
+ * Escapes text for insertion into HTML. Use it on sheet values in tooltipTemplate/descriptionTemplate.
+ * @param {*} value Any value; null and undefined become an empty string.
+ * @returns {string}
+ */
+InteractiveMapLibrary.escapeHtml = function (value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
 
-        blue += amount;
-        if (blue > 255) blue = 255; else if (blue < 0) blue = 0;
+/**
+ * Tags (and their allowed attributes) kept when `descriptionFormat` is 'html'.
+ */
+InteractiveMapLibrary.ALLOWED_HTML = {
+    a: ['href', 'title'],
+    b: [],
+    strong: [],
+    i: [],
+    em: [],
+    u: [],
+    p: [],
+    br: [],
+    ul: [],
+    ol: [],
+    li: [],
+    small: []
+};
 
-        return (usePound ? "#" : "") + String("000000" + ((red << 16) | (green << 8) | blue).toString(16)).slice(-6);
+/**
+ * Message catalogs by locale. `languageName` labels the language switcher and `numberLocale` is the
+ * Intl locale for numbers and dates. Messages with `one`/`other` forms are picked by their `count`.
+ * Add a locale by adding a catalog here (missing keys fall back to English), or override single
+ * messages per instance with `config.messages`.
+ */
+InteractiveMapLibrary.MESSAGES = {
+    en: {
+        languageName: 'English',
+        numberLocale: 'en-LK',
+        noData: 'No data',
+        regionNoData: '{name} (No data)',
+        detailsFor: 'Details for {name}',
+        currency: 'Rs. {amount}',
+        mapLabel: 'Map of GN divisions. Press Tab to reach the regions, then use the arrow keys to move between them and Enter to select.',
+        zoomIn: 'Zoom in',
+        zoomOut: 'Zoom out',
+        zoomReset: 'Show the whole map',
+        errorInit: 'Error initializing map: {message}',
+        errorData: 'Error loading map data ({message}). Please check the data source URL and format.',
+        noDataLoaded: 'No data loaded or data format is incorrect.',
+        statusNoShapes: "Map interactions set up, but no SVG elements with 'id' attributes were found. Please check your SVG structure.",
+        statusNoData: 'Map loaded, but no data was processed from the sheet, or data format is incorrect.',
+        statusLoaded: {
+            one: 'Map loaded successfully! Found {count} region with data. Click on a region to see details.',
+            other: 'Map loaded successfully! Found {count} regions with data. Click on a region to see details.'
+        },
+        statusUnmatched: { one: '{count} id in the data did not match any map region.', other: '{count} ids in the data did not match any map region.' },
+        statusNoMatches: 'Map data loaded, but no IDs in the data matched IDs found in the SVG.',
+        unmatchedIds: 'Unmatched IDs ({count})',
+        dataAsOf: 'Data as of {date}',
+        updating: 'updating…',
+        offlineCopy: 'offline copy',
+        validationOk: 'Data check: no problems found.',
+        validationProblems: { one: 'Data check: {count} problem found.', other: 'Data check: {count} problems found.' },
+        unmatchedSheetIds: 'Sheet ids not found on the map',
+        regionsWithoutData: 'Map regions without data',
+        duplicateIds: 'Duplicate ids',
+        invalidColors: 'Invalid colors',
+        nonNumericCells: 'Non-numeric cells',
+        skippedRows: 'Skipped rows',
+        rowNumber: 'row {row}',
+        periodName: 'period {period}',
+        didYouMean: 'did you mean {ids}?',
+        downloadReport: 'Download report (CSV)',
+        selectedRegions: { one: '{count} selected region', other: '{count} selected regions' },
+        shiftClickHint: 'Shift-click a region to add or remove it.',
+        pinSelection: 'Pin selection',
+        clearPins: 'Clear pins',
+        chart: 'Chart',
+        groupedBars: 'Grouped bars',
+        radar: 'Radar',
+        compareHint: 'Ctrl-click (Cmd-click on a Mac) regions, or select them and press "Pin selection", to compare them side by side.',
+        region: 'Region',
+        value: 'Value',
+        rank: 'Rank',
+        diffFromAverage: '± avg',
+        unpin: 'Unpin {name}',
+        pinnedRegions: { one: '{count} pinned region', other: '{count} pinned regions' },
+        dsAverage: 'DS division average',
+        comparingRegions: { one: 'Comparing {count} region', other: 'Comparing {count} regions' },
+        radarNote: 'Radar values are shown as % of the highest GN division.',
+        noDataCount: 'No data ({count})',
+        searchPlaceholder: 'Search GN divisions…',
+        searchLabel: 'Search GN divisions',
+        filterPlaceholder: 'Filter, e.g. population > 2000',
+        filterLabel: 'Filter regions',
+        filterMatches: '{count} of {total} regions match',
+        filterInvalid: 'Cannot understand filter "{filter}". Use e.g. "population > 2000".',
+        historyFor: 'History for {name}',
+        dataFor: 'Data for {name}',
+        values: 'Values',
+        period: 'Period',
+        play: 'Play',
+        pause: 'Pause',
+        dataTableCaption: 'GN division data',
+        gnDivision: 'GN division',
+        mapReport: 'Map report',
+        printedOn: 'Printed {date}',
+        periodValue: 'Period {period}',
+        chartImage: 'Chart',
+        language: 'Language',
+        layers: 'Layers',
+        mapLabels: 'Map labels',
+        yourLocation: 'Your location',
+        locationFound: 'You are in {name}',
+        locationOutside: 'Your location is outside the map',
+        locationUnsupported: 'This browser cannot share your location',
+        errorLocate: 'Could not find your location: {message}'
+    },
+    si: {
+        languageName: 'සිංහල',
+        numberLocale: 'si-LK',
+        noData: 'දත්ත නැත',
+        regionNoData: '{name} (දත්ත නැත)',
+        detailsFor: '{name} පිළිබඳ විස්තර',
+        currency: 'රු. {amount}',
+        mapLabel: 'ග්‍රාම නිලධාරී වසම් සිතියම. වසම් වෙත යාමට Tab ඔබා, ඊතල යතුරු මගින් ඒවා අතර ගමන් කර, තේරීමට Enter ඔබන්න.',
+        zoomIn: 'විශාලනය කරන්න',
+        zoomOut: 'කුඩා කරන්න',
+        zoomReset: 'සම්පූර්ණ සිතියම පෙන්වන්න',
+        errorInit: 'සිතියම ආරම්භ කිරීමේ දෝෂයකි: {message}',
+        errorData: 'සිතියම් දත්ත පූරණය කිරීමේ දෝෂයකි ({message}). කරුණාකර දත්ත මූලාශ්‍රයේ URL සහ ආකෘතිය පරීක්ෂා කරන්න.',
+        noDataLoaded: 'දත්ත පූරණය නොවීය, නැතහොත් දත්ත ආකෘතිය වැරදිය.',
+        statusNoShapes: "සිතියම සකසා ඇත, නමුත් 'id' ගුණාංගය සහිත SVG මූලාංග කිසිවක් හමු නොවීය. කරුණාකර SVG ව්‍යුහය පරීක්ෂා කරන්න.",
+        statusNoData: 'සිතියම පූරණය විය, නමුත් පත්‍රයෙන් දත්ත කිසිවක් සැකසුණේ නැත, නැතහොත් දත්ත ආකෘතිය වැරදිය.',
+        statusLoaded: 'සිතියම සාර්ථකව පූරණය විය! දත්ත සහිත වසම් {count}ක් හමු විය. විස්තර බැලීමට වසමක් මත ක්ලික් කරන්න.',
+        statusUnmatched: 'දත්තවල ඇති id {count}ක් සිතියමේ කිසිදු වසමකට නොගැළපුණි.',
+        statusNoMatches: 'සිතියම් දත්ත පූරණය විය, නමුත් දත්තවල කිසිදු ID එකක් SVG හි ID සමඟ නොගැළපුණි.',
+        unmatchedIds: 'නොගැළපෙන ID ({count})',
+        dataAsOf: '{date} දිනට දත්ත',
+        updating: 'යාවත්කාලීන වෙමින්…',
+        offlineCopy: 'නොබැඳි පිටපත',
+        validationOk: 'දත්ත පරීක්ෂාව: ගැටලු කිසිවක් හමු නොවීය.',
+        validationProblems: 'දත්ත පරීක්ෂාව: ගැටලු {count}ක් හමු විය.',
+        unmatchedSheetIds: 'සිතියමේ හමු නොවූ පත්‍රයේ id',
+        regionsWithoutData: 'දත්ත නොමැති සිතියම් වසම්',
+        duplicateIds: 'අනුපිටපත් id',
+        invalidColors: 'වලංගු නොවන වර්ණ',
+        nonNumericCells: 'සංඛ්‍යාත්මක නොවන කොටු',
+        skippedRows: 'මඟ හැරුණු පේළි',
+        rowNumber: 'පේළිය {row}',
+        periodName: 'කාලය {period}',
+        didYouMean: '{ids} අදහස් කළාද?',
+        downloadReport: 'වාර්තාව බාගන්න (CSV)',
+        selectedRegions: 'තෝරාගත් වසම් {count}',
+        shiftClickHint: 'වසමක් එක් කිරීමට හෝ ඉවත් කිරීමට Shift ඔබාගෙන ක්ලික් කරන්න.',
+        pinSelection: 'තේරීම අමුණන්න',
+        clearPins: 'ඇමුණුම් ඉවත් කරන්න',
+        chart: 'ප්‍රස්තාරය',
+        groupedBars: 'කාණ්ඩගත තීරු',
+        radar: 'රේඩාර්',
+        compareHint: 'වසම් එකිනෙක සැසඳීමට Ctrl (Mac හි Cmd) ඔබාගෙන ඒවා ක්ලික් කරන්න, නැතහොත් ඒවා තෝරා "තේරීම අමුණන්න" ඔබන්න.',
+        region: 'වසම',
+        value: 'අගය',
+        rank: 'ශ්‍රේණිය',
+        diffFromAverage: '± සාමාන්‍යය',
+        unpin: '{name} ඉවත් කරන්න',
+        pinnedRegions: 'අමුණා ඇති වසම් {count}',
+        dsAverage: 'ප්‍රා. ලේ. කොට්ඨාස සාමාන්‍යය',
+        comparingRegions: 'වසම් {count}ක් සැසඳීම',
+        radarNote: 'රේඩාර් අගයන් ඉහළම ග්‍රා. නි. වසමේ ප්‍රතිශතයක් ලෙස පෙන්වා ඇත.',
+        noDataCount: 'දත්ත නැත ({count})',
+        searchPlaceholder: 'ග්‍රා. නි. වසම් සොයන්න…',
+        searchLabel: 'ග්‍රාම නිලධාරී වසම් සොයන්න',
+        filterPlaceholder: 'පෙරහන, උදා. population > 2000',
+        filterLabel: 'වසම් පෙරන්න',
+        filterMatches: 'වසම් {total}න් {count}ක් ගැළපේ',
+        filterInvalid: 'පෙරහන "{filter}" තේරුම් ගත නොහැක. උදා. "population > 2000" ලෙස ලියන්න.',
+        historyFor: '{name} ඉතිහාසය',
+        dataFor: '{name} දත්ත',
+        values: 'අගයන්',
+        period: 'කාලය',
+        play: 'ධාවනය',
+        pause: 'විරාමය',
+        dataTableCaption: 'ග්‍රාම නිලධාරී වසම් දත්ත',
+        gnDivision: 'ග්‍රා. නි. වසම',
+        mapReport: 'සිතියම් වාර්තාව',
+        printedOn: 'මුද්‍රණය කළේ {date}',
+        periodValue: 'කාලය {period}',
+        chartImage: 'ප්‍රස්තාරය',
+        language: 'භාෂාව',
+        layers: 'ස්තර',
+        mapLabels: 'සිතියම් නම්',
+        yourLocation: 'ඔබගේ ස්ථානය',
+        locationFound: 'ඔබ සිටින්නේ {name} තුළ ය',
+        locationOutside: 'ඔබගේ ස්ථානය සිතියමෙන් පිටත ය',
+        locationUnsupported: 'මෙම බ්‍රවුසරයට ඔබගේ ස්ථානය බෙදාගත නොහැක',
+        errorLocate: 'ඔබගේ ස්ථානය සොයාගත නොහැකි විය: {message}'
+    },
+    ta: {
+        languageName: 'தமிழ்',
+        numberLocale: 'ta-LK',
+        noData: 'தரவு இல்லை',
+        regionNoData: '{name} (தரவு இல்லை)',
+        detailsFor: '{name} பற்றிய விவரங்கள்',
+        currency: 'ரூ. {amount}',
+        mapLabel: 'கிராம அலுவலர் பிரிவுகளின் வரைபடம். பிரிவுகளை அடைய Tab ஐ அழுத்தி, அம்புக்குறி விசைகளால் அவற்றுக்கிடையே நகர்ந்து, தேர்ந்தெடுக்க Enter ஐ அழுத்தவும்.',
+        zoomIn: 'பெரிதாக்கு',
+        zoomOut: 'சிறிதாக்கு',
+        zoomReset: 'முழு வரைபடத்தையும் காட்டு',
+        errorInit: 'வரைபடத்தைத் தொடங்குவதில் பிழை: {message}',
+        errorData: 'வரைபடத் தரவை ஏற்றுவதில் பிழை ({message}). தரவு மூலத்தின் URL மற்றும் வடிவத்தைச் சரிபார்க்கவும்.',
+        noDataLoaded: 'தரவு ஏற்றப்படவில்லை அல்லது தரவு வடிவம் தவறானது.',
+        statusNoShapes: "வரைபடம் அமைக்கப்பட்டது, ஆனால் 'id' பண்புடைய SVG உறுப்புகள் எதுவும் கிடைக்கவில்லை. SVG கட்டமைப்பைச் சரிபார்க்கவும்.",
+        statusNoData: 'வரைபடம் ஏற்றப்பட்டது, ஆனால் தாளிலிருந்து எந்தத் தரவும் செயலாக்கப்படவில்லை அல்லது தரவு வடிவம் தவறானது.',
+        statusLoaded: 'வரைபடம் வெற்றிகரமாக ஏற்றப்பட்டது! தரவுடன் {count} பிரிவுகள் கண்டறியப்பட்டன. விவரங்களைக் காண ஒரு பிரிவைக் கிளிக் செய்யவும்.',
+        statusUnmatched: 'தரவிலுள்ள {count} id-கள் வரைபடத்தின் எந்தப் பிரிவுடனும் பொருந்தவில்லை.',
+        statusNoMatches: 'வரைபடத் தரவு ஏற்றப்பட்டது, ஆனால் தரவிலுள்ள எந்த ID-யும் SVG-யிலுள்ள ID-களுடன் பொருந்தவில்லை.',
+        unmatchedIds: 'பொருந்தாத ID-கள் ({count})',
+        dataAsOf: '{date} நிலவரப்படி தரவு',
+        updating: 'புதுப்பிக்கப்படுகிறது…',
+        offlineCopy: 'ஆஃப்லைன் நகல்',
+        validationOk: 'தரவுச் சரிபார்ப்பு: சிக்கல்கள் எதுவும் இல்லை.',
+        validationProblems: 'தரவுச் சரிபார்ப்பு: {count} சிக்கல்கள் கண்டறியப்பட்டன.',
+        unmatchedSheetIds: 'வரைபடத்தில் காணப்படாத தாள் id-கள்',
+        regionsWithoutData: 'தரவு இல்லாத வரைபடப் பிரிவுகள்',
+        duplicateIds: 'நகல் id-கள்',
+        invalidColors: 'தவறான வண்ணங்கள்',
+        nonNumericCells: 'எண் அல்லாத கலங்கள்',
+        skippedRows: 'தவிர்க்கப்பட்ட வரிசைகள்',
+        rowNumber: 'வரிசை {row}',
+        periodName: 'காலம் {period}',
+        didYouMean: '{ids} என்பதைக் குறிப்பிட்டீர்களா?',
+        downloadReport: 'அறிக்கையைப் பதிவிறக்கவும் (CSV)',
+        selectedRegions: 'தேர்ந்தெடுக்கப்பட்ட {count} பிரிவுகள்',
+        shiftClickHint: 'ஒரு பிரிவைச் சேர்க்க அல்லது நீக்க Shift அழுத்திக் கிளிக் செய்யவும்.',
+        pinSelection: 'தேர்வைப் பொருத்து',
+        clearPins: 'பொருத்தியவற்றை அழி',
+        chart: 'விளக்கப்படம்',
+        groupedBars: 'குழுவாக்கப்பட்ட பட்டைகள்',
+        radar: 'ரேடார்',
+        compareHint: 'பிரிவுகளை அருகருகே ஒப்பிட Ctrl (Mac இல் Cmd) அழுத்திக் கிளிக் செய்யவும், அல்லது அவற்றைத் தேர்ந்தெடுத்து "தேர்வைப் பொருத்து" அழுத்தவும்.',
+        region: 'பிரிவு',
+        value: 'மதிப்பு',
+        rank: 'தரம்',
+        diffFromAverage: '± சராசரி',
+        unpin: '{name} ஐ அகற்று',
+        pinnedRegions: 'பொருத்தப்பட்ட {count} பிரிவுகள்',
+        dsAverage: 'பி. செ. பிரிவு சராசரி',
+        comparingRegions: '{count} பிரிவுகளை ஒப்பிடுதல்',
+        radarNote: 'ரேடார் மதிப்புகள் அதிகபட்ச கி. அ. பிரிவின் சதவீதமாகக் காட்டப்படுகின்றன.',
+        noDataCount: 'தரவு இல்லை ({count})',
+        searchPlaceholder: 'கி. அ. பிரிவுகளைத் தேடு…',
+        searchLabel: 'கிராம அலுவலர் பிரிவுகளைத் தேடு',
+        filterPlaceholder: 'வடிகட்டி, எ.கா. population > 2000',
+        filterLabel: 'பிரிவுகளை வடிகட்டு',
+        filterMatches: '{total} பிரிவுகளில் {count} பொருந்துகின்றன',
+        filterInvalid: '"{filter}" வடிகட்டியைப் புரிந்துகொள்ள முடியவில்லை. எ.கா. "population > 2000" என எழுதவும்.',
+        historyFor: '{name} வரலாறு',
+        dataFor: '{name} தரவு',
+        values: 'மதிப்புகள்',
+        period: 'காலம்',
+        play: 'இயக்கு',
+        pause: 'இடைநிறுத்து',
+        dataTableCaption: 'கிராம அலுவலர் பிரிவுத் தரவு',
+        gnDivision: 'கி. அ. பிரிவு',
+        mapReport: 'வரைபட அறிக்கை',
+        printedOn: 'அச்சிடப்பட்டது {date}',
+        periodValue: 'காலம் {period}',
+        chartImage: 'விளக்கப்படம்',
+        language: 'மொழி',
+        layers: 'அடுக்குகள்',
+        mapLabels: 'வரைபடப் பெயர்கள்',
+        yourLocation: 'உங்கள் இருப்பிடம்',
+        locationFound: 'நீங்கள் {name} இல் உள்ளீர்கள்',
+        locationOutside: 'உங்கள் இருப்பிடம் வரைபடத்திற்கு வெளியே உள்ளது',
+        locationUnsupported: 'இந்த உலாவியால் உங்கள் இருப்பிடத்தைப் பகிர முடியாது',
+        errorLocate: 'உங்கள் இருப்பிடத்தைக் கண்டறிய முடியவில்லை: {message}'
     }
+};
+
+/**
+ * Line colors for the per-region history chart, one per metric (cycled when there are more metrics).
+ */
+InteractiveMapLibrary.SERIES_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+
+/**
+ * Row loaders by data source type. Each takes the source config and the library instance and
+ * resolves to an array of row objects, which then go through the usual row validation.
+ * Add an entry here to support another format.
+ */
+InteractiveMapLibrary.DATA_SOURCES = {
+    xlsx: async (source, library) => {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('XLSX library (SheetJS) is not loaded.');
+        }
+        const response = await library._fetchSource(source);
+        const arrayBuffer = await response.arrayBuffer();
+        const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+        return library._rowsFromWorkbook(workbook, source.sheetName || library.config.sheetName);
+    },
+    csv: async (source, library) => {
+        const response = await library._fetchSource(source);
+        return InteractiveMapLibrary.core.parseCSV(await response.text());
+    },
+    json: async (source, library) => {
+        const response = await library._fetchSource(source);
+        const json = await response.json();
+        // Accept a bare array or an object wrapping it, e.g. { "rows": [...] }
+        return Array.isArray(json) ? json : json[source.rowsKey || 'rows'];
+    },
+    geojson: async (source, library) => {
+        const response = await library._fetchSource(source);
+        return InteractiveMapLibrary.core.rowsFromGeoJSON(await response.json(), { withCoordinates: source.withCoordinates });
+    },
+    array: async (source) => source.rows || []
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InteractiveMapLibrary;
 }
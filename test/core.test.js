@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const InteractiveMapCore = require('../interactiveMapCore.js');
+
+test('parseCSV handles quoted fields, escaped quotes and blank cells', () => {
+    const rows = InteractiveMapCore.parseCSV('﻿id,displayName,population\r\narama,"Arama, ""east""",1200\nkandamulla,,\n\n');
+    assert.deepEqual(rows, [
+        { id: 'arama', displayName: 'Arama, "east"', population: '1200' },
+        { id: 'kandamulla' }
+    ]);
+});
+
+test('parseNumber reads numbers with thousands separators and rejects text', () => {
+    assert.equal(InteractiveMapCore.parseNumber('2,400'), 2400);
+    assert.equal(InteractiveMapCore.parseNumber(12.5), 12.5);
+    assert.equal(InteractiveMapCore.parseNumber('n/a'), null);
+    assert.equal(InteractiveMapCore.parseNumber(''), null);
+    assert.equal(InteractiveMapCore.parseNumber(undefined), null);
+});
+
+test('sortPeriods sorts years numerically and keeps other periods in sheet order', () => {
+    assert.deepEqual(InteractiveMapCore.sortPeriods(['2024', '2022', '2023']), ['2022', '2023', '2024']);
+    assert.deepEqual(InteractiveMapCore.sortPeriods(['Q2', 'Q1']), ['Q2', 'Q1']);
+});
+
+test('buildRegionData reports missing ids, duplicates, bad colors and non-numeric cells', () => {
+    const metrics = [{ key: 'population' }, { key: 'families' }];
+    const first = { id: 'arama', color: '#ff0000', population: '1,200', families: 300, displayName_si: 'ආරාම' };
+    const duplicate = { id: ' arama ', population: 1300 };
+    const rows = [
+        first,
+        { id: 'kandamulla', color: 'not-a-color', population: 'n/a' },
+        { displayName: 'No id' },
+        duplicate
+    ];
+    const { mapData, issues } = InteractiveMapCore.buildRegionData(rows, metrics, { period: '2024', locale: 'si' });
+
+    assert.deepEqual(Object.keys(mapData), ['arama', 'kandamulla']);
+    assert.equal(mapData.arama.values.population, 1300); // The later row wins
+    assert.equal(mapData.arama.color, 'lightgray');
+    assert.equal(mapData.kandamulla.color, 'not-a-color');
+    assert.equal(mapData.kandamulla.values.population, null);
+
+    assert.deepEqual(issues.map(issue => [issue.type, issue.id, issue.column]), [
+        ['invalidColor', 'kandamulla', 'color'],
+        ['nonNumeric', 'kandamulla', 'population'],
+        ['missingId', null, 'id'],
+        ['duplicateId', 'arama', 'id']
+    ]);
+    assert.equal(issues[3].duplicateOf, first);
+    assert.equal(issues[3].row, duplicate);
+    assert.ok(issues.every(issue => issue.period === '2024'));
+});
+
+test('localizeRegion prefers the locale column and falls back to the plain one, then the id', () => {
+    const regionData = { attributes: { displayName: 'Arama', displayName_si: 'ආරාම', description: ' Temple village ' } };
+    InteractiveMapCore.localizeRegion(regionData, 'arama', 'si');
+    assert.equal(regionData.displayName, 'ආරාම');
+    assert.equal(regionData.description, 'Temple village');
+
+    InteractiveMapCore.localizeRegion(regionData, 'arama', 'ta');
+    assert.equal(regionData.displayName, 'Arama');
+
+    const bare = { attributes: {} };
+    InteractiveMapCore.localizeRegion(bare, 'kandamulla', 'en');
+    assert.equal(bare.displayName, 'kandamulla');
+    assert.equal(bare.description, null);
+});
+
+test('matchIds lists unmatched data ids with suggestions and regions without data', () => {
+    const result = InteractiveMapCore.matchIds(['arama', 'epawala_wattha'], ['arama', 'epawala_wathhtha', 'kandamulla']);
+    assert.deepEqual(result, {
+        unmatchedIds: [{ id: 'epawala_wattha', suggestions: ['epawala_wathhtha'] }],
+        regionsWithoutData: ['epawala_wathhtha', 'kandamulla']
+    });
+    assert.deepEqual(InteractiveMapCore.matchIds(['arama'], []).unmatchedIds, []);
+});
+
+test('isValidColor accepts hex, rgb() and names', () => {
+    assert.ok(InteractiveMapCore.isValidColor('#ff0000'));
+    assert.ok(InteractiveMapCore.isValidColor('rgba(0, 0, 0, 0.5)'));
+    assert.ok(InteractiveMapCore.isValidColor('teal'));
+    assert.ok(!InteractiveMapCore.isValidColor('#ff00zz'));
+    assert.ok(!InteractiveMapCore.isValidColor('not-a-color'));
+});
+
+test('classify computes equal, quantile and Jenks breaks', () => {
+    const values = [1, 2, 3, 10, 11, 12, 30, 31, 32];
+    assert.deepEqual(InteractiveMapCore.classify(values, 'equal', 3), [1, 11.333333333333334, 21.666666666666668, 32]);
+    assert.deepEqual(InteractiveMapCore.classify(values, 'quantile', 3), [1, 10, 30, 32]);
+    assert.deepEqual(InteractiveMapCore.classify(values, 'jenks', 3), [1, 3, 12, 32]);
+    assert.deepEqual(InteractiveMapCore.classify([5, 5], 'quantile', 5), [5, 5]);
+    assert.deepEqual(InteractiveMapCore.classify([], 'quantile', 5), []);
+});
+
+test('classIndex puts values on a break into the lower class', () => {
+    const breaks = [1, 3, 12, 32];
+    assert.equal(InteractiveMapCore.classIndex(1, breaks), 0);
+    assert.equal(InteractiveMapCore.classIndex(3, breaks), 0);
+    assert.equal(InteractiveMapCore.classIndex(3.5, breaks), 1);
+    assert.equal(InteractiveMapCore.classIndex(32, breaks), 2);
+});
+
+test('classColors samples named ramps and keeps an explicit color per class', () => {
+    const breaks = [0, 10, 20, 30];
+    assert.deepEqual(InteractiveMapCore.classColors('blues', breaks), ['#eff3ff', '#6baed6', '#08519c']);
+    assert.deepEqual(InteractiveMapCore.classColors(['#000000', '#111111', '#222222'], breaks), ['#000000', '#111111', '#222222']);
+    // Diverging around a midpoint: the class straddling it gets the neutral middle color
+    assert.equal(InteractiveMapCore.classColors('rdylgn', [-15, -5, 5, 15], 0)[1], '#ffffbf');
+});
+
+test('interpolateRamp, hexToRgb and adjustColor work on hex colors', () => {
+    assert.equal(InteractiveMapCore.interpolateRamp(['#000000', '#ffffff'], 0.5), '#808080');
+    assert.deepEqual(InteractiveMapCore.hexToRgb('#0f8'), [0, 255, 136]);
+    assert.equal(InteractiveMapCore.hexToRgb('red'), null);
+    assert.equal(InteractiveMapCore.adjustColor('#102030', 20), '#243444');
+    assert.equal(InteractiveMapCore.adjustColor('#fafafa', 20), '#ffffff');
+    assert.equal(InteractiveMapCore.adjustColor('lightgray', -10), '#555555');
+    assert.equal(InteractiveMapCore.metricShade(0, 3), -30);
+    assert.equal(InteractiveMapCore.metricShade(2, 3), 30);
+});
+
+test('topologyToGeoJSON decodes quantized arcs, including reversed ones', () => {
+    const topology = {
+        type: 'Topology',
+        transform: { scale: [0.5, 0.5], translate: [80, 7] },
+        arcs: [
+            [[0, 0], [2, 0], [0, 2]], // (80, 7) → (81, 7) → (81, 8)
+            [[2, 2], [-2, 0], [0, -2]] // (81, 8) → (80, 8) → (80, 7)
+        ],
+        objects: {
+            gn: { type: 'GeometryCollection', geometries: [{ type: 'Polygon', arcs: [[0, 1]], properties: { id: 'arama' } }] }
+        }
+    };
+    const geojson = InteractiveMapCore.topologyToGeoJSON(topology);
+    assert.deepEqual(geojson.features[0].properties, { id: 'arama' });
+    assert.deepEqual(geojson.features[0].geometry.coordinates, [[[80, 7], [81, 7], [81, 8], [80, 8], [80, 7]]]);
+
+    topology.objects.gn.geometries[0].arcs = [[~1, ~0]];
+    assert.deepEqual(InteractiveMapCore.topologyToGeoJSON(topology, 'gn').features[0].geometry.coordinates,
+        [[[80, 7], [80, 8], [81, 8], [81, 7], [80, 7]]]);
+    assert.throws(() => InteractiveMapCore.topologyToGeoJSON(topology, 'missing'), /not found/);
+});
+
+test('rowsFromGeoJSON copies properties and feature ids, and point coordinates on request', () => {
+    const geojson = {
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', id: 'school-1', properties: { name: 'School' }, geometry: { type: 'Point', coordinates: [80.4, 7.1] } }]
+    };
+    assert.deepEqual(InteractiveMapCore.rowsFromGeoJSON(geojson), [{ name: 'School', id: 'school-1' }]);
+    assert.deepEqual(InteractiveMapCore.rowsFromGeoJSON(geojson, { withCoordinates: true }), [{ name: 'School', id: 'school-1', lon: 80.4, lat: 7.1 }]);
+});
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const XLSX = require('xlsx');
+const InteractiveMapLibrary = require('../interactiveMapLib.js');
+
+const root = path.join(__dirname, '..');
+
+// test/fixtures/gn_divisions.xlsx has one sheet, 'GN Divisions', written with XLSX.utils.json_to_sheet and
+// XLSX.writeFile, header [id, color, displayName, displayName_si, description, population, families]:
+//   row 2: arama, #ff0000, Arama, ආරාම, Temple village, 1200, 300
+//   row 3: kandamulla, (blank), Kandamulla, (blank), (blank), '2,400', 610
+//   row 4: aranayaka, not-a-color, Aranayaka, (blank), (blank), 3100, 'n/a'
+//   row 5: epawala_wattha, (blank), Epawala Watta, (blank), (blank), 950, 240 (the SVG id is epawala_wathhtha)
+//   row 6: (blank), (blank), No id, (blank), (blank), 10, (blank)
+// Three ids match the SVG's 61 regions.
+let charts = [];
+
+// A page shaped like index.html, plus stand-ins for what jsdom cannot do: layout, canvas and the network.
+// The page is closed and Node's own globals put back when the test `t` ends.
+function createPage(t) {
+    const { window } = new JSDOM(`<!DOCTYPE html><body>
+        <div id="map"></div>
+        <div id="mapDescription"></div>
+        <canvas id="mapChart"></canvas>
+        <div id="mapLegend"></div>
+        <div id="mapTooltip"></div>
+    </body>`, { pretendToBeVisual: true });
+
+    window.SVGElement.prototype.getBBox = () => ({ x: 0, y: 0, width: 10, height: 10 });
+    window.HTMLCanvasElement.prototype.getContext = () => ({ clearRect() {} });
+    const names = ['window', 'document', 'Node', 'DOMParser', 'XMLSerializer', 'requestAnimationFrame', 'cancelAnimationFrame', 'XLSX', 'Chart', 'fetch'];
+    const saved = names.map(name => [name, Object.getOwnPropertyDescriptor(global, name)]);
+    t.after(() => {
+        window.close();
+        saved.forEach(([name, descriptor]) => {
+            if (descriptor) Object.defineProperty(global, name, descriptor);
+            else delete global[name];
+        });
+    });
+    Object.assign(global, {
+        window,
+        document: window.document,
+        Node: window.Node,
+        DOMParser: window.DOMParser,
+        XMLSerializer: window.XMLSerializer,
+        requestAnimationFrame: window.requestAnimationFrame,
+        cancelAnimationFrame: window.cancelAnimationFrame,
+        XLSX
+    });
+
+    // Records the charts the library draws instead of rendering them
+    charts = [];
+    global.Chart = class {
+        constructor(context, config) {
+            this.config = config;
+            this.data = config.data;
+            charts.push(this);
+        }
+        update() {}
+        destroy() {}
+    };
+    // Relative URLs are read from the repository
+    global.fetch = async url => new Response(fs.readFileSync(path.join(root, url)));
+    return window;
+}
+
+async function loadMap(t, config = {}) {
+    const window = createPage(t);
+    const map = new InteractiveMapLibrary({
+        mapElementId: 'map',
+        tooltipElementId: 'mapTooltip',
+        chartCanvasId: 'mapChart',
+        descriptionElementId: 'mapDescription',
+        legendElementId: 'mapLegend',
+        svgUrl: 'Map-Aranayaka.svg',
+        dataSource: { type: 'xlsx', url: 'test/fixtures/gn_divisions.xlsx' },
+        cache: false,
+        ...config
+    });
+    await new Promise((resolve, reject) => {
+        map.on('dataloaded', resolve);
+        map.on('error', ({ error }) => reject(error));
+    });
+    return { map, window, region: id => window.document.getElementById(id) };
+}
+
+test.beforeEach((t) => {
+    // The library logs the SVG's ids on every load
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('fills matched regions from the workbook and leaves the rest grey', async (t) => {
+    const { map, region } = await loadMap(t);
+
+    assert.equal(map.regionElements.length, 61);
+    assert.equal(region('arama').style.fill, '#ff0000');
+    assert.equal(region('kandamulla').style.fill, 'lightgray'); // No color in the sheet
+    assert.equal(region('ambalakanda').style.fill, 'lightgray'); // No row in the sheet
+    assert.equal(region('arama').style.fillOpacity, '0.8');
+});
+
+test('fills regions from a choropleth metric, with sheet colors still winning', async (t) => {
+    const { region } = await loadMap(t, { choropleth: { metric: 'population', method: 'equal', classes: 3, ramp: 'blues' } });
+
+    assert.equal(region('arama').style.fill, '#ff0000');
+    assert.equal(region('kandamulla').style.fill, '#08519c'); // Top class: darkest blue
+    assert.equal(region('ambalakanda').style.fill, 'lightgray');
+});
+
+test('shows the name and formatted metric values in the tooltip on hover', async (t) => {
+    const { window, region } = await loadMap(t);
+    const tooltip = window.document.getElementById('mapTooltip');
+
+    region('kandamulla').dispatchEvent(new window.MouseEvent('mousemove', { bubbles: true }));
+    assert.equal(tooltip.style.display, 'block');
+    assert.equal(tooltip.innerHTML, '<strong>Kandamulla</strong><br>population: 2,400<br>families: 610');
+
+    region('ambalakanda').dispatchEvent(new window.MouseEvent('mousemove', { bubbles: true }));
+    assert.equal(tooltip.textContent, 'ambalakanda (No data)');
+
+    region('ambalakanda').dispatchEvent(new window.MouseEvent('mouseout', { bubbles: true }));
+    assert.equal(tooltip.style.display, 'none');
+});
+
+test('click selects the region, describes it and charts its metrics', async (t) => {
+    const { map, window, region } = await loadMap(t);
+    const events = [];
+    map.on('regionclick', ({ id }) => events.push(['regionclick', id]));
+    map.on('selectionchange', ({ ids }) => events.push(['selectionchange', ids]));
+
+    region('arama').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    assert.deepEqual(events, [['regionclick', 'arama'], ['selectionchange', ['arama']]]);
+    assert.deepEqual(map.getSelection(), ['arama']);
+    assert.equal(region('arama').getAttribute('aria-pressed'), 'true');
+
+    const description = window.document.getElementById('mapDescription');
+    assert.equal(description.querySelector('h3').textContent, 'Arama');
+    assert.match(description.textContent, /Temple village/);
+
+    const chart = charts[charts.length - 1];
+    assert.deepEqual(chart.data.labels, ['population', 'families']);
+    assert.deepEqual(chart.data.datasets[0].data, [1200, 300]);
+
+    // Shift-click adds to the selection
+    region('kandamulla').dispatchEvent(new window.MouseEvent('click', { bubbles: true, shiftKey: true }));
+    assert.deepEqual(map.getSelection(), ['arama', 'kandamulla']);
+});
+
+test('reports sheet problems against the SVG ids', async (t) => {
+    const { map } = await loadMap(t);
+    const report = map.getValidationReport();
+
+    assert.deepEqual(report.unmatchedIds, [{ id: 'epawala_wattha', row: 5, suggestions: ['epawala_wathhtha'] }]);
+    assert.deepEqual(report.invalidColors.map(issue => [issue.id, issue.row, issue.value]), [['aranayaka', 4, 'not-a-color']]);
+    assert.deepEqual(report.nonNumericCells.map(issue => [issue.id, issue.column, issue.value]), [['aranayaka', 'families', 'n/a']]);
+    assert.deepEqual(report.skippedRows.map(issue => issue.row), [6]);
+    assert.equal(report.regionsWithoutData.length, 58);
+});
+
+test('keeps sheet row numbers when sheets are loaded as periods, and defuses formulas in the CSV report', async (t) => {
+    const { map } = await loadMap(t, { sheetName: ['GN Divisions'] });
+    const report = map.getValidationReport();
+    assert.deepEqual(report.invalidColors.map(issue => [issue.row, issue.period]), [[4, 'GN Divisions']]);
+    assert.deepEqual(report.skippedRows.map(issue => issue.row), [6]);
+
+    map.setData([{ id: 'arama', period: '2024', color: '=HYPERLINK("http://example.com")' }]);
+    const line = map.getValidationReportCSV().split('\r\n').find(text => text.startsWith('invalid color'));
+    assert.equal(line, `invalid color,arama,2,2024,color,"'=HYPERLINK(""http://example.com"")",Not a valid CSS color`);
+});
+
+test('accepts inline SVG markup without an xmlns attribute', async (t) => {
+    const { map, region } = await loadMap(t, {
+        svg: '<svg viewBox="0 0 20 10"><path id="arama" d="M0 0H10V10H0Z"/><path id="kandamulla" d="M10 0H20V10H10Z"/></svg>',
+        dataSource: [{ id: 'arama', color: '#00ff00' }]
+    });
+
+    assert.equal(map.svgElement.namespaceURI, 'http://www.w3.org/2000/svg');
+    assert.equal(map.regionElements.length, 2);
+    assert.equal(region('arama').style.fill, '#00ff00');
+});
+
+test('exports the SVG without the page-only accessibility attributes', async (t) => {
+    const { map, window, region } = await loadMap(t);
+    region('arama').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    assert.equal(region('arama').getAttribute('role'), 'button');
+
+    const svgText = map.exportSVG();
+    assert.doesNotMatch(svgText, /\s(role|tabindex|aria-[a-z]+)="/);
+    assert.match(svgText, /<polyline id="arama"/);
+});
+
+test('renders Markdown links whose URL contains parentheses', async (t) => {
+    const { window, region } = await loadMap(t, {
+        descriptionFormat: 'markdown',
+        dataSource: [{ id: 'arama', description: 'See [Aranayake](https://en.wikipedia.org/wiki/Aranayake_(town)) for more.' }]
+    });
+    region('arama').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+    const link = window.document.querySelector('#mapDescription a');
+    assert.equal(link.getAttribute('href'), 'https://en.wikipedia.org/wiki/Aranayake_(town)');
+    assert.equal(link.textContent, 'Aranayake');
+});